@@ -2,6 +2,7 @@
 
 import {
     cancelAllTrackedDelays,
+    trackedDelay,
     settings,
     settingsTracker,
     migrateSettings,
@@ -10,6 +11,7 @@ import {
 
 import {
     confirmWithNotification,
+    showBasicNotification,
 } from '../common/notifications.js';
 
 import {
@@ -32,8 +34,52 @@ import {
 
 import {
     TreeInfoNode,
+    fillFolderTitleTemplate,
+    getDateTimeTemplateValues,
 } from '../background/tree-info-node.js';
 
+import {
+    getBookmarkFormat,
+    getBookmarkFormats,
+} from '../background/bookmark-formats.js';
+
+import {
+    getTabIdsForNodes,
+    getTabsLinkedToSavedTree,
+    linkTabsToSavedTree,
+    planTreeBookmarks,
+    requestSavedTreeLinkPermission,
+    updateSavedTreeBookmarks,
+    SavedTreeSyncer,
+} from '../background/saved-trees.js';
+
+import {
+    getSessionHash,
+    getSnapshotsToRemove,
+} from '../background/session-snapshots.js';
+
+import {
+    WindowTreeTracker,
+} from '../background/window-trees.js';
+
+import {
+    createTreeOperation,
+    undoTreeOperation,
+    TreeOperationJournal,
+} from '../background/operation-journal.js';
+
+import {
+    RestoreTransaction,
+} from '../background/restore-transaction.js';
+
+import {
+    CreatedBookmarkFolders,
+} from '../background/created-folders.js';
+
+import {
+    repairRestoredTabTree,
+} from '../background/tree-repair.js';
+
 import {
     getSelectedTabs,
 } from '../common/selected-tabs.js';
@@ -63,6 +109,11 @@ import {
     PortManager
 } from '../common/connections.js';
 
+import {
+    delay,
+    CancellationToken,
+} from '../common/delays.js';
+
 
 /**
  * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
@@ -73,6 +124,506 @@ import {
 /**
  * @typedef {import('../background/tree-info-node.js').BookmarkTreeNode} BookmarkTreeNode
  */
+/**
+ * @typedef {import('../background/tree-info-node.js').WindowGeometry} WindowGeometry
+ */
+/**
+ * @typedef {import('../background/tree-info-node.js').OpenTabsProgress} OpenTabsProgress
+ */
+/**
+ * @typedef {import('../common/utilities.js').BrowserWindow} BrowserWindow
+ */
+/**
+ * @typedef {import('../ui/setting-overrides.js').SettingOverridesEntry} SettingOverridesEntry
+ */
+
+
+// #region Dialogs
+
+/**
+ * An extension page that is shown in a popup window while the background page waits for the user's choice.
+ *
+ * @typedef {Object} OpenDialog
+ * @property {any} Info.data Info that the page can request from the background page.
+ * @property {function(any): void} Info.resolve Called with the user's choice.
+ * @property {function(any): any} [Info.onMessage] Handles messages that the page sends while it is open. The returned value is sent back to the page.
+ */
+null;
+
+/** @type {Map<number, OpenDialog>} Keys are ids for dialogs that are open. */
+const openDialogs = new Map();
+let lastDialogId = 0;
+
+/**
+ * Open an extension page in a popup window and wait for the user's choice. The page gets a `dialogId` search parameter
+ * that it should use to get its data and to send its result.
+ *
+ * @template T
+ * @param {Object} Params Parameters.
+ * @param {string} Params.page The path of the extension page, for example `resources/folder-picker.html`.
+ * @param {any} [Params.data] Info that the page can request from the background page.
+ * @param {number} [Params.width] The width of the window.
+ * @param {number} [Params.height] The height of the window.
+ * @param {function(any): any} [Params.onMessage] Handles messages that the page sends while it is open. The returned value is sent back to the page.
+ * @param {Promise<any>} [Params.closeWhen] Close the dialog without a result when this promise is settled.
+ * @returns {Promise<T | null>} The result that the page provided or `null` if the window was closed without a result.
+ */
+async function showDialog({ page, data = null, width = 450, height = 550, onMessage = null, closeWhen = null }) {
+    const dialogId = ++lastDialogId;
+    /** @type {number | null} */
+    let dialogWindowId = null;
+
+    /** @type {Promise<T | null>} */
+    const userChoice = new Promise((resolve) => openDialogs.set(dialogId, { data, resolve, onMessage }));
+    if (closeWhen) {
+        const close = () => resolveDialog(dialogId, null);
+        closeWhen.then(close, close);
+    }
+    const onWindowRemoved = (windowId) => {
+        if (windowId === dialogWindowId) {
+            resolveDialog(dialogId, null);
+        }
+    };
+    browser.windows.onRemoved.addListener(onWindowRemoved);
+    try {
+        const dialogWindow = await browser.windows.create({
+            type: 'popup',
+            url: browser.runtime.getURL(page) + '?' + new URLSearchParams({ dialogId: String(dialogId) }).toString(),
+            width,
+            height,
+        });
+        dialogWindowId = dialogWindow.id;
+        return await userChoice;
+    } catch (error) {
+        console.error(`Failed to show the dialog "${page}":\n`, error);
+        return null;
+    } finally {
+        browser.windows.onRemoved.removeListener(onWindowRemoved);
+        openDialogs.delete(dialogId);
+        if (dialogWindowId !== null) {
+            browser.windows.remove(dialogWindowId).catch(() => { /* Already closed. */ });
+        }
+    }
+}
+
+/**
+ * Provide the user's choice for an open dialog.
+ *
+ * @param {number} dialogId The id of the dialog.
+ * @param {any} result The user's choice or `null` if the user cancelled.
+ */
+function resolveDialog(dialogId, result) {
+    const dialog = openDialogs.get(dialogId);
+    if (dialog) {
+        dialog.resolve(result);
+    }
+}
+
+/**
+ * Get the info that was provided for an open dialog.
+ *
+ * @param {number} dialogId The id of the dialog.
+ * @returns {any} The dialog's data or `null` if the dialog isn't open.
+ */
+function getDialogData(dialogId) {
+    const dialog = openDialogs.get(dialogId);
+    return dialog ? dialog.data : null;
+}
+
+/**
+ * Handle a message from an open dialog.
+ *
+ * @param {number} dialogId The id of the dialog.
+ * @param {any} message The message from the page.
+ * @returns {Promise<any>} The value that should be sent back to the page.
+ */
+async function handleDialogMessage(dialogId, message) {
+    const dialog = openDialogs.get(dialogId);
+    if (!dialog || !dialog.onMessage) return null;
+    return dialog.onMessage(message);
+}
+
+/**
+ * Get the window that the user was using before a dialog was opened. Dialogs become the current window while they are open.
+ *
+ * @returns {Promise<number | null>} The id of the last focused normal window or `null` if it couldn't be found.
+ */
+async function getLastFocusedNormalWindowId() {
+    try {
+        return (await browser.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+    } catch (error) {
+        console.warn('Failed to get the current window:\n', error);
+        return null;
+    }
+}
+
+// #endregion Dialogs
+
+
+// #region Ask for Bookmark Folder
+
+/**
+ * Open a window where the user can select a bookmark folder.
+ *
+ * @param {Object} [Params] Parameters.
+ * @param {string} [Params.selectedId] The id of the folder that should be selected initially. An empty string selects the browser's default location.
+ * @returns {Promise<string | null>} The id of the selected folder, an empty string for the browser's default location or `null` if the user cancelled.
+ */
+async function askForBookmarkFolder({ selectedId = '' } = {}) {
+    return showDialog({ page: 'resources/folder-picker.html', data: { selectedId } });
+}
+
+// #endregion Ask for Bookmark Folder
+
+
+// #region Restore Preview
+
+/**
+ * The user's choices in the restore preview page.
+ *
+ * @typedef {Object} RestorePreviewResult
+ * @property {number[]} Info.uncheckedIndexes Indexes into `getPreviewNodes` for nodes that shouldn't be restored.
+ * @property {number | null} Info.windowId The window to restore the tree into.
+ * @property {boolean} Info.inNewWindow `true` to restore the tree into a new window.
+ * @property {boolean} Info.openAsDiscardedTabs `true` to open the tabs as unloaded.
+ */
+null;
+
+/**
+ * Get all nodes in a tree. The indexes of the nodes are used to identify them in preview pages.
+ *
+ * @param {TreeInfoNode} rootNode The root of the tree.
+ * @returns {TreeInfoNode[]} The root node followed by its descendants.
+ */
+function getPreviewNodes(rootNode) {
+    return [rootNode, ...rootNode.descendants];
+}
+
+/**
+ * Convert a tree to plain objects that can be sent to a preview page.
+ *
+ * @param {TreeInfoNode} rootNode The root of the tree.
+ * @param {Object} [Params] Parameters.
+ * @param {string | null} [Params.rootTitle] A title to show for the root node instead of its own title.
+ * @returns {import('../ui/tree-checklist.js').ChecklistNode} The converted root node.
+ */
+function createPreviewTree(rootNode, { rootTitle = null } = {}) {
+    /** @type {Map<TreeInfoNode, number>} */
+    const indexes = new Map();
+    getPreviewNodes(rootNode).forEach((node, index) => indexes.set(node, index));
+
+    const convert = (node) => ({
+        index: indexes.get(node),
+        title: (node === rootNode && rootTitle !== null ? rootTitle : node.title) || '',
+        url: node.url || '',
+        children: node.children.map(convert),
+    });
+    return convert(rootNode);
+}
+
+/**
+ * Create a new tree with the changes that the user made in a preview page. Unchecked nodes are left out and the
+ * created nodes keep the instances and metadata of the original nodes.
+ *
+ * @param {TreeInfoNode} rootNode The tree that was previewed.
+ * @param {import('../ui/tree-checklist.js').EditedChecklistNode} editedTree The tree from the preview page.
+ * @returns {TreeInfoNode} The root of the new tree.
+ */
+function applyPreviewEdits(rootNode, editedTree) {
+    const previewNodes = getPreviewNodes(rootNode);
+    const convert = (edited) => {
+        const original = previewNodes[edited.index];
+        return new TreeInfoNode({
+            title: edited.title,
+            url: original.url,
+            instances: original.instances,
+            metadata: Object.assign({}, original.metadata),
+            children: edited.children.filter(child => child.checked && previewNodes[child.index]).map(convert),
+        });
+    };
+    return convert(editedTree);
+}
+
+/**
+ * Show a page where the user can select which parts of a tree to restore and how to restore them.
+ *
+ * @param {Object} Params Parameters.
+ * @param {TreeInfoNode} Params.rootNode The tree that will be restored.
+ * @param {number | null} Params.windowId The window that the tree will be restored into by default. `null` for the current window.
+ * @param {boolean} Params.inNewWindow `true` if the tree will be restored into a new window by default.
+ * @param {boolean} Params.openAsDiscardedTabs `true` if tabs will be opened as unloaded by default.
+ * @returns {Promise<RestorePreviewResult | null>} The user's choices or `null` if the user cancelled.
+ */
+async function askForRestorePreview({ rootNode, windowId, inNewWindow, openAsDiscardedTabs }) {
+    if (windowId === null && !inNewWindow) {
+        // The preview window will be the current window so find the window that was current before it was opened:
+        windowId = await getLastFocusedNormalWindowId();
+    }
+    /** @type {BrowserWindow[]} */
+    const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+
+    return showDialog({
+        page: 'resources/restore-preview.html',
+        data: {
+            tree: createPreviewTree(rootNode),
+            windows: windows.map(window => ({ id: window.id, title: window.title || '' })),
+            windowId,
+            inNewWindow,
+            openAsDiscardedTabs,
+        },
+        width: 600,
+        height: 650,
+    });
+}
+
+// #endregion Restore Preview
+
+
+// #region Restore Progress
+
+/**
+ * Show a window with the progress of opened tabs and a button that cancels the operation.
+ *
+ * @param {Object} Params Parameters.
+ * @param {CancellationToken} Params.cancellationToken Cancelled if the user presses the cancel button.
+ * @param {function(): OpenTabsProgress} Params.getProgress Get the latest progress.
+ * @param {Promise<any>} Params.closeWhen The window is closed when this promise is settled.
+ */
+async function showRestoreProgress({ cancellationToken, getProgress, closeWhen }) {
+    const cancel = await showDialog({
+        page: 'resources/restore-progress.html',
+        data: getProgress(),
+        width: 400,
+        height: 200,
+        onMessage: () => getProgress(),
+        closeWhen,
+    });
+    if (cancel) {
+        cancellationToken.cancel();
+    }
+}
+
+// #endregion Restore Progress
+
+
+// #region Restore Rollback
+
+/**
+ * Tell the user why a restore was rolled back.
+ *
+ * @param {Object} Params Parameters.
+ * @param {RestoreTransaction} Params.transaction The transaction that was rolled back.
+ * @param {boolean} Params.cancelled `true` if the user cancelled the restore.
+ * @param {number} Params.closedCount The number of tabs that were closed.
+ */
+async function reportRolledBackRestore({ transaction, cancelled, closedCount }) {
+    const { failure } = transaction;
+    let reason;
+    if (cancelled || !failure) {
+        reason = browser.i18n.getMessage('notifications_RestoreTree_RolledBack_Cancelled');
+    } else {
+        const error = String(failure.error && failure.error.message || failure.error || '');
+        switch (failure.reason) {
+            case 'createTab': {
+                reason = browser.i18n.getMessage('notifications_RestoreTree_RolledBack_CreateTab', [failure.url || '', error]);
+            } break;
+            case 'attachTab': {
+                reason = browser.i18n.getMessage('notifications_RestoreTree_RolledBack_AttachTab', [failure.url || '', error]);
+            } break;
+            default: {
+                reason = browser.i18n.getMessage('notifications_RestoreTree_RolledBack_Unknown', error);
+            } break;
+        }
+    }
+    await showBasicNotification({
+        title: browser.i18n.getMessage('notifications_RestoreTree_RolledBack_Title'),
+        message: browser.i18n.getMessage('notifications_RestoreTree_RolledBack_Message', [reason, String(closedCount)]),
+    });
+}
+
+// #endregion Restore Rollback
+
+
+// #region Bookmark Preview
+
+/**
+ * The user's choices in the bookmark preview page.
+ *
+ * @typedef {Object} BookmarkPreviewResult
+ * @property {import('../ui/tree-checklist.js').EditedChecklistNode} Info.tree The edited tree. The root node's title is the title of the created folder.
+ * @property {BookmarkFormat} Info.format The tree data format to save the tree with.
+ * @property {string} Info.parentBookmarkId The id of the bookmark folder to save the tree in or an empty string for the default location.
+ */
+null;
+
+/**
+ * Check if a tree should be saved in its own bookmark folder.
+ *
+ * @param {TreeInfoNode} rootNode The tree to save.
+ * @returns {boolean} `true` if more than one bookmark would be created.
+ */
+function needsBookmarkFolder(rootNode) {
+    return Boolean(rootNode.getNthContentNode(rootNode.url ? /* Has URL => find at least one child content node */ 0 :  /* No URL => find at least two child content nodes: */ 1));
+}
+
+/**
+ * Show a page where the user can edit a tree and see the bookmarks that would be created for it.
+ *
+ * @param {Object} Params Parameters.
+ * @param {TreeInfoNode} Params.rootNode The tree that will be bookmarked. It should not have a URL.
+ * @param {BookmarkFormat} Params.format The tree data format that is selected initially.
+ * @param {string | null} Params.parentBookmarkId The bookmark folder that is selected initially.
+ * @param {string} Params.folderTitle The title of the bookmark folder that would be created.
+ * @param {string} Params.folderSuffix A suffix for any created sub folders.
+ * @param {boolean} Params.alwaysInFolder Create a bookmark folder even if only one bookmark is needed.
+ * @returns {Promise<BookmarkPreviewResult | null>} The user's choices or `null` if the user cancelled.
+ */
+async function askForBookmarkPreview({ rootNode, format, parentBookmarkId, folderTitle, folderSuffix, alwaysInFolder }) {
+    return showDialog({
+        page: 'resources/bookmark-preview.html',
+        data: {
+            tree: createPreviewTree(rootNode, { rootTitle: folderTitle }),
+            format,
+            parentBookmarkId: parentBookmarkId || '',
+        },
+        width: 900,
+        height: 700,
+        onMessage: async ({ tree, format }) => {
+            // The bookmarks that would be created for the edited tree:
+            const editedRoot = applyPreviewEdits(rootNode, tree);
+            return planTreeBookmarks(editedRoot, {
+                format,
+                folderSuffix,
+                folderTitle: tree.title || null,
+                inFolder: alwaysInFolder || needsBookmarkFolder(editedRoot),
+            });
+        },
+    });
+}
+
+// #endregion Bookmark Preview
+
+
+// #region Windows
+
+/**
+ * Get the node that should store info about the window that a tree was saved from. Bookmarks are not created
+ * for a root node without a URL that only has a single child node so in that case the info is stored in the child.
+ *
+ * @param {TreeInfoNode} rootNode The root of a tree.
+ * @returns {TreeInfoNode} The node that has info about the tree's window.
+ */
+function getWindowInfoNode(rootNode) {
+    if (!rootNode.url && rootNode.children.length === 1) {
+        return rootNode.children[0];
+    }
+    return rootNode;
+}
+
+/**
+ * Get the size and position of a window.
+ *
+ * @param {number} windowId The id of the window.
+ * @returns {Promise<WindowGeometry | null>} The window's geometry or `null` if it couldn't be determined.
+ */
+async function getWindowGeometry(windowId) {
+    try {
+        /** @type {BrowserWindow} */
+        const window = await browser.windows.get(windowId);
+        return {
+            state: window.state,
+            left: window.left,
+            top: window.top,
+            width: window.width,
+            height: window.height,
+        };
+    } catch (error) {
+        console.error(`Failed to get the size of the window with id ${windowId}:\n`, error);
+        return null;
+    }
+}
+
+/**
+ * Open a new window that tabs can be restored into.
+ *
+ * @param {Object} Config Configure the new window.
+ * @param {WindowGeometry | null} [Config.geometry] The wanted size and position of the window.
+ * @returns {Promise<BrowserWindow>} The created window. It has a starter tab that should be closed when other tabs have been opened.
+ */
+async function createRestoreWindow({ geometry = null }) {
+    const details = {};
+    if (geometry) {
+        if (!geometry.state || geometry.state === 'normal') {
+            // Position can only be specified for normal windows:
+            for (const key of ['left', 'top', 'width', 'height']) {
+                if (typeof geometry[key] === 'number') {
+                    details[key] = geometry[key];
+                }
+            }
+        } else if (geometry.state !== 'minimized') {
+            details.state = geometry.state;
+        }
+    }
+    return await browser.windows.create(details);
+}
+
+// #endregion Windows
+
+
+
+
+// #region Operation Journal
+
+/** The latest operations that created bookmarks or tabs. */
+const treeOperationJournal = new TreeOperationJournal();
+
+/**
+ * Remember the bookmarks or tabs that an operation created so that the operation can be undone.
+ *
+ * @param {Parameters<typeof createTreeOperation>[0]} details The operation and what it created.
+ */
+async function recordTreeOperation(details) {
+    try {
+        await treeOperationJournal.record(await createTreeOperation(details));
+    } catch (error) {
+        console.error(`Failed to record a tree operation so that it can be undone:\n`, error);
+    }
+}
+
+/**
+ * Undo an operation that created bookmarks or tabs. The user is notified if the operation can't be undone.
+ *
+ * @param {number | null} [operationId] The id of the operation to undo. `null` to undo the latest operation.
+ * @returns {Promise<boolean>} `true` if the operation was undone.
+ */
+async function undoLastTreeOperation(operationId = null) {
+    try {
+        const operation = await treeOperationJournal.getLastOperation();
+        if (!operation || (operationId !== null && operation.id !== operationId)) {
+            await showBasicNotification({
+                title: browser.i18n.getMessage('notifications_UndoTreeOperation_Failed_Title'),
+                message: browser.i18n.getMessage(operation ? 'notifications_UndoTreeOperation_NotLatest' : 'notifications_UndoTreeOperation_Nothing'),
+            });
+            return false;
+        }
+
+        const { undone, changedCount } = await undoTreeOperation(operation);
+        if (!undone) {
+            await showBasicNotification({
+                title: browser.i18n.getMessage('notifications_UndoTreeOperation_Failed_Title'),
+                message: browser.i18n.getMessage('notifications_UndoTreeOperation_Changed', String(changedCount)),
+            });
+            return false;
+        }
+        await treeOperationJournal.remove(operation.id);
+        return true;
+    } catch (error) {
+        console.error(`Failed to undo the latest tree operation:\n`, error);
+        return false;
+    }
+}
+
+// #endregion Operation Journal
 
 
 // #region Bookmark and Restore Tree Data
@@ -87,6 +638,8 @@ import {
  * @param {string} [Config.removeSuffix] A suffix to remove from the original bookmark folder.
  * @param {string} [Config.addSuffix] A suffix to add the created bookmark folder.
  * @param {boolean} [Config.onlyAddSuffixIfSuffixWasRemoved] Only add the suffix to the created bookmark folder if the original folder had a suffix that could be removed.
+ * @param {string} [Config.folderTitleTemplate] A template for the created bookmark folder's title. `{rootTitle}` is the original folder's title without the removed suffix. Empty to use the original folder's title.
+ * @param {boolean} [Config.recordOperation] Remember the created bookmarks so that the migration can be undone.
  * @returns {Promise<BookmarkTreeNode[]>} The created bookmarks.
  */
 async function migrateTreeData({
@@ -96,8 +649,15 @@ async function migrateTreeData({
     removeSuffix = '',
     addSuffix = '',
     onlyAddSuffixIfSuffixWasRemoved = false,
+    folderTitleTemplate = '',
+    recordOperation = true,
 } = {}) {
     try {
+        if (!toBookmarkFormat) {
+            toBookmarkFormat = TreeInfoNode.bookmarkFormat.titles;
+        }
+        // Throws for unknown formats before any bookmarks are created:
+        getBookmarkFormat(toBookmarkFormat);
 
         const { rootNode, rootBookmark } = await getBookmarkTreeData({ bookmarkId, bookmarkFormat: fromBookmarkFormat });
         if (!rootNode) {
@@ -112,26 +672,51 @@ async function migrateTreeData({
             addSuffix = '';
         }
 
+        let folderTitle = wantedFolderTitle + addSuffix;
+        if (folderTitleTemplate) {
+            folderTitle = rootNode.getBookmarkFolderTitle({
+                folderSuffix: addSuffix,
+                template: folderTitleTemplate,
+                values: { rootTitle: wantedFolderTitle },
+            }) || folderTitle;
+        }
+
         const bookmarkFolder = await browser.bookmarks.create({
             type: 'folder',
-            title: wantedFolderTitle + addSuffix,
+            title: folderTitle,
             // Create the migrated folder right next to the original folder:
             index: rootBookmark.index + 1,
             parentId: rootBookmark.parentId,
         });
 
-        return await rootNode.saveAsBookmarks({
+        const bookmarks = await rootNode.saveAsBookmarks({
             parentBookmarkId: bookmarkFolder.id,
-            format: toBookmarkFormat || TreeInfoNode.bookmarkFormat.titles,
+            format: toBookmarkFormat,
             // Affects any sub folders (relevant for folders data format):
             folderSuffix: addSuffix,
         });
+
+        if (recordOperation) {
+            await recordTreeOperation({ type: 'migrate', bookmarks: [bookmarkFolder] });
+        }
+
+        return bookmarks;
     } catch (error) {
         console.error(`Failed to migrate bookmarks with tree data into new format ${toBookmarkFormat}:\n`, error);
     }
 }
 
 
+/**
+ * Info about a tree that was bookmarked.
+ *
+ * @typedef {Object} BookmarkedTreeInfo
+ * @property {TreeInfoNode} Info.rootNode The tree that was bookmarked. Its nodes have the bookmarked tabs as instances.
+ * @property {BookmarkFormat} Info.format The tree data format that the bookmarks were created with.
+ * @property {BookmarkTreeNode[]} Info.bookmarks The created bookmarks.
+ */
+null;
+
 /**
  * Create bookmarks for some tabs.
  *
@@ -139,6 +724,7 @@ async function migrateTreeData({
  * @param {Object} [Config] Configure how the tabs should be bookmarked.
  * @param {boolean} [Config.isTSTTab] The provided tabs have Tree Style Tab data.
  * @param {string | null} [Config.parentBookmarkId] The id of the bookmark folder to use when bookmarking the tabs.
+ * @param {boolean} [Config.askForParentBookmarkId] Let the user select the bookmark folder to use. `parentBookmarkId` is selected initially.
  * @param {BookmarkFormat} [Config.bookmarkFormat] Determines how tree data is stored in the bookmarks.
  * @param {boolean} [Config.useLegacyGroupTabURL] Convert Tree Style Tab's group tab URLs to use the legacy URL that is independent of Tree Style Tab's internal id.
  * @param {boolean} [Config.newGroupTabFallbackURL] Use the newer web extension Tree Style Tab fallback URL "ext+treestyletab:group" which replaces the older "about:treestyletab-group" URL.
@@ -146,6 +732,11 @@ async function migrateTreeData({
  * @param {boolean | number} [Config.maxTotalTreeDepth] The number of child levels from root tab to include.
  * @param {number} [Config.warnWhenMoreThan] If the number of tabs that should be bookmarked is greater than this amount then confirm with the user that they want to continue. False or negative to disable.
  * @param {string} [Config.folderSuffix] This suffix will be appended to the created bookmark folder's name.
+ * @param {string} [Config.folderTitleTemplate] A template for the created bookmark folder's name. Empty to use the first tab's title.
+ * @param {boolean} [Config.alwaysInFolder] Create a bookmark folder even if only one bookmark is needed.
+ * @param {boolean} [Config.recordOperation] Remember the created bookmarks so that they can be removed by undoing the operation.
+ * @param {boolean} [Config.showPreview] Let the user edit the tree, select the tree data format and bookmark folder and see the bookmarks that will be created. Replaces the `warnWhenMoreThan` confirmation and `askForParentBookmarkId`.
+ * @param {null | function(BookmarkedTreeInfo): void} [Config.onBookmarked] Called with info about the bookmarked tree once its bookmarks have been created.
  * @returns {Promise<BookmarkTreeNode[]>} The created bookmarks.
  */
 async function bookmarkTree(
@@ -153,6 +744,7 @@ async function bookmarkTree(
     {
         isTSTTab = false,
         parentBookmarkId = null,
+        askForParentBookmarkId = false,
         bookmarkFormat = null,
         useLegacyGroupTabURL = false,
         newGroupTabFallbackURL = false,
@@ -160,6 +752,11 @@ async function bookmarkTree(
         maxTotalTreeDepth = false,
         warnWhenMoreThan = -1,
         folderSuffix = '',
+        folderTitleTemplate = '',
+        alwaysInFolder = false,
+        recordOperation = true,
+        showPreview = false,
+        onBookmarked = null,
     } = {}
 ) {
     try {
@@ -171,7 +768,7 @@ async function bookmarkTree(
         if (treeNodes.length === 0) return null;
 
         /** @type {TreeInfoNode} */
-        const rootNode = treeNodes[0].rootNode;
+        let rootNode = treeNodes[0].rootNode;
 
         if (useLegacyGroupTabURL) {
             // Fix group tab URLs (don't use URLs that are dependent on Tree Style Tab's internal id since that might change and cause the URLs to not work later):
@@ -183,6 +780,45 @@ async function bookmarkTree(
         // Ensure only nodes close the selected nodes are kept:
         rootNode.prune({ parentNodes: treeNodes, maxTreeDepth: maxTreeDepth });
 
+        const firstTab = Array.isArray(parentTabs) ? parentTabs[0] : parentTabs;
+        let windowTitle = '';
+        if (firstTab) {
+            const geometry = await getWindowGeometry(firstTab.windowId);
+            if (geometry) {
+                getWindowInfoNode(rootNode).metadata.window = geometry;
+            }
+            if (folderTitleTemplate || showPreview) {
+                try {
+                    windowTitle = (await browser.windows.get(firstTab.windowId)).title || '';
+                } catch (error) {
+                    console.warn(`Failed to get the title of the window with id ${firstTab.windowId}:\n`, error);
+                }
+            }
+        }
+
+        /** @type {string | null} */
+        let folderTitle = null;
+        if (showPreview) {
+            const preview = await askForBookmarkPreview({
+                rootNode,
+                format: bookmarkFormat || TreeInfoNode.bookmarkFormat.separators,
+                parentBookmarkId,
+                folderTitle: rootNode.getBookmarkFolderTitle({ folderSuffix, template: folderTitleTemplate, values: { windowTitle } }) || '',
+                folderSuffix,
+                alwaysInFolder,
+            });
+            if (!preview) return null;
+
+            rootNode = applyPreviewEdits(rootNode, preview.tree);
+            if (!rootNode.hasContent) return null;
+            folderTitle = preview.tree.title || null;
+            bookmarkFormat = preview.format;
+            parentBookmarkId = preview.parentBookmarkId || null;
+            // The user has already seen the tree and selected a folder:
+            warnWhenMoreThan = -1;
+            askForParentBookmarkId = false;
+        }
+
         if ((warnWhenMoreThan || warnWhenMoreThan === 0) && warnWhenMoreThan >= 0) {
             const count = rootNode.count;
             if (count > warnWhenMoreThan) {
@@ -194,13 +830,47 @@ async function bookmarkTree(
             }
         }
 
-        return await rootNode.saveAsBookmarks({
+        if (askForParentBookmarkId) {
+            const selectedId = await askForBookmarkFolder({ selectedId: parentBookmarkId || '' });
+            if (selectedId === null) return null;
+            parentBookmarkId = selectedId || null;
+        }
+
+        if (parentBookmarkId) {
+            try {
+                await browser.bookmarks.get(parentBookmarkId);
+            } catch (error) {
+                console.warn(`The bookmark folder with id "${parentBookmarkId}" couldn't be found so the tree will be bookmarked in the default location instead:\n`, error);
+                parentBookmarkId = null;
+            }
+        }
+
+        const format = bookmarkFormat || TreeInfoNode.bookmarkFormat.separators;
+        const bookmarks = await rootNode.saveAsBookmarks({
             parentBookmarkId,
-            format: bookmarkFormat || TreeInfoNode.bookmarkFormat.separators,
+            format,
             folderSuffix,
+            folderTitle,
+            folderTitleTemplate,
+            folderTitleValues: { windowTitle },
             // Create a folder if more than one bookmark will be created:
-            inFolder: Boolean(rootNode.getNthContentNode(rootNode.url ? /* Has URL => find at least one child content node */ 0 :  /* No URL => find at least two child content nodes: */ 1)),
+            inFolder: alwaysInFolder || needsBookmarkFolder(rootNode),
         });
+
+        if (bookmarks.length === 1 && bookmarks[0].type === 'folder') {
+            // Allow updating the saved tree later:
+            await linkTabsToSavedTree(getTabIdsForNodes([rootNode, ...rootNode.descendants]), bookmarks[0].id);
+        }
+
+        if (onBookmarked) {
+            onBookmarked({ rootNode, format, bookmarks });
+        }
+
+        if (recordOperation) {
+            await recordTreeOperation({ type: 'bookmark', bookmarks });
+        }
+
+        return bookmarks;
     } catch (error) {
         console.error(`Failed to bookmark tabs with tree data:\n`, error);
     }
@@ -213,10 +883,12 @@ async function bookmarkTree(
  * @param {Object} Config Determine how to get the tree data.
  * @param {string} Config.bookmarkId The id of the bookmark that the user clicked or that is otherwise of interest.
  * @param {BookmarkFormat | 'auto'} [Config.bookmarkFormat] The format that should be used to parse the tree data.
+ * @param {boolean} [Config.foldersAsGroupTabs=false] Parse nested bookmark folders as group tabs.
  */
 async function getBookmarkTreeData({
     bookmarkId,
     bookmarkFormat = 'auto',
+    foldersAsGroupTabs = false,
 }) {
 
     /** @type {BookmarkTreeNode} */
@@ -228,12 +900,16 @@ async function getBookmarkTreeData({
     }
 
     if (!bookmarkFormat || bookmarkFormat === 'auto') {
-        bookmarkFormat = TreeInfoNode.guessBookmarkFormat({ rootBookmark });
+        bookmarkFormat = TreeInfoNode.guessBookmarkFormat({
+            rootBookmark,
+            // Formats that use folders to store tree data can't restore folders as group tabs:
+            allowedFormats: foldersAsGroupTabs ? getBookmarkFormats().filter(format => !format.usesFolders).map(format => format.id) : null,
+        });
         console.log('Auto detect tree data format for bookmarks - Decided on: ', bookmarkFormat);
     }
 
     /** @type {TreeInfoNode[]} */
-    let treeNodes = /** @type {any} */ (await TreeInfoNode.parseFromBookmarks({ rootBookmark, format: bookmarkFormat, }));
+    let treeNodes = /** @type {any} */ (await TreeInfoNode.parseFromBookmarks({ rootBookmark, format: bookmarkFormat, foldersAsGroupTabs, }));
     if (treeNodes && !Array.isArray(treeNodes)) {
         treeNodes = [treeNodes];
     }
@@ -261,6 +937,16 @@ async function getBookmarkTreeData({
 }
 
 
+/**
+ * Info about a tree that was restored.
+ *
+ * @typedef {Object} RestoredTreeInfo
+ * @property {TreeInfoNode[]} Info.savedNodes The nodes that were parsed from the bookmarks. Nodes that were opened have their tabs as instances. Group tabs that were added as parents aren't included.
+ * @property {OpenTabsProgress} Info.progress The number of tabs that were opened and that failed to open.
+ * @property {boolean} Info.cancelled `true` if the user cancelled the restore before all tabs were opened.
+ */
+null;
+
 /**
  * Create tabs from some bookmarks.
  *
@@ -273,6 +959,7 @@ async function getBookmarkTreeData({
  * @param {boolean} [Config.allowNonCreatedParent = false] TODO
  * @param {number} [Config.windowId = null] TODO
  * @param {BookmarkFormat | 'auto'} [Config.bookmarkFormat] The tree data format that should be used to parse tree data.
+ * @param {boolean} [Config.foldersAsGroupTabs = false] Restore nested bookmark folders as group tabs with the folders' content as child tabs.
  * @param {boolean} [Config.fixGroupTabURLs = false] Modify group tab URLs so that they are restored correctly.
  * @param {boolean} [Config.fixGroupTabToSidebery = false] Restore group tabs in a way that sidebery understands.
  * @param {number} [Config.warnWhenMoreThan = -1] TODO
@@ -282,6 +969,18 @@ async function getBookmarkTreeData({
  * @param {boolean} [Config.ensureOneParent = false] TODO
  * @param {boolean} [Config.openAsDiscardedTabs = false] TODO
  * @param {boolean} [Config.openAsDiscardedTabs_fixOpenerIdForInternalUrls = false] TODO
+ * @param {boolean} [Config.restoreContainers = false] Open tabs in the containers they were bookmarked from. Requires a bookmark format that stores that info.
+ * @param {boolean} [Config.restoreTabStates = false] Pin, mute and open tabs in reader view if they were like that when they were bookmarked. Requires a bookmark format that stores that info.
+ * @param {boolean} [Config.restoreCollapsedState = false] Collapse trees that were collapsed when they were bookmarked. Requires a bookmark format that stores that info.
+ * @param {number} [Config.maxTreeDepth = -1] The number of tree levels below the top most tabs to restore. Negative to restore all tabs.
+ * @param {boolean} [Config.inNewWindow = false] Open the tabs in a new window instead of the window specified by `windowId`.
+ * @param {boolean} [Config.restoreWindowGeometry = false] Give the new window the same size and position as the window that the tree was bookmarked from. Requires a bookmark format that stores that info.
+ * @param {boolean} [Config.showPreview = false] Let the user select which tabs to restore, the window to restore them into and if they should be opened as unloaded. Replaces the `warnWhenMoreThan` confirmation.
+ * @param {number} [Config.showProgressWhenMoreThan = -1] Show a window with the progress and a cancel button when opening more than this many tabs. Negative to never show it.
+ * @param {boolean} [Config.allOrNothing = false] Close all opened tabs and tell the user why if a tab can't be opened or attached to its parent or if the restore is cancelled.
+ * @param {boolean} [Config.verifyTreeStructure = false] After the tabs have been opened, compare Tree Style Tab's tree with the restored tree and move tabs that have the wrong parent or position.
+ * @param {boolean} [Config.recordOperation = true] Remember the opened tabs so that they can be closed by undoing the operation.
+ * @param {null | function(RestoredTreeInfo): void} [Config.onRestored] Called with info about the restored tree once its tabs have been opened. Not called if no tabs were opened or if they were closed again.
  * @returns {Promise<BrowserTab[]>} Array of browser tab objects for the opened tabs.
  */
 async function restoreTree({
@@ -293,6 +992,7 @@ async function restoreTree({
     allowNonCreatedParent = false,
     windowId = null,
     bookmarkFormat = 'auto',
+    foldersAsGroupTabs = false,
     fixGroupTabURLs = false,
     fixGroupTabToSidebery = false,
     warnWhenMoreThan = -1,
@@ -301,16 +1001,67 @@ async function restoreTree({
     groupUnderTempTab = false,
     ensureOneParent = false,
     openAsDiscardedTabs = false,
-    openAsDiscardedTabs_fixOpenerIdForInternalUrls = false
+    openAsDiscardedTabs_fixOpenerIdForInternalUrls = false,
+    restoreContainers = false,
+    restoreTabStates = false,
+    restoreCollapsedState = false,
+    maxTreeDepth = -1,
+    inNewWindow = false,
+    restoreWindowGeometry = false,
+    showPreview = false,
+    showProgressWhenMoreThan = -1,
+    allOrNothing = false,
+    verifyTreeStructure = false,
+    recordOperation = true,
+    onRestored = null,
 }) {
     try {
-        const { rootNode } = await getBookmarkTreeData({ bookmarkId, bookmarkFormat });
+        const { rootNode, rootBookmark, clickedBookmark } = await getBookmarkTreeData({ bookmarkId, bookmarkFormat, foldersAsGroupTabs });
 
         if (!rootNode) {
             // Could be an empty folder.
             return [];
         }
 
+        // Only link tabs to the saved tree if all of it is restored, otherwise updating the tree would remove bookmarks:
+        let linkToSavedTree = clickedBookmark === rootBookmark && maxTreeDepth < 0;
+        // Get the nodes before any group tab is added as parent:
+        const savedNodes = rootNode.url ? [rootNode, ...rootNode.descendants] : rootNode.descendants;
+
+        if (maxTreeDepth >= 0) {
+            // A root node without a URL isn't restored so its children are the top most tabs:
+            rootNode.prune({ maxTreeDepth: maxTreeDepth + (rootNode.url ? 0 : 1) });
+        }
+
+        if (showPreview) {
+            const preview = await askForRestorePreview({ rootNode, windowId, inNewWindow, openAsDiscardedTabs });
+            if (!preview) return [];
+
+            if (preview.uncheckedIndexes.includes(0) && rootNode.url) {
+                // Unchecking the root node unchecks all of its descendants.
+                return [];
+            }
+            const previewNodes = getPreviewNodes(rootNode);
+            const removeNodes = preview.uncheckedIndexes.map(index => previewNodes[index]).filter(node => node && node !== rootNode);
+            if (removeNodes.length > 0) {
+                rootNode.prune({ removeNodes });
+                linkToSavedTree = false;
+            }
+            if (!rootNode.hasContent) return [];
+
+            windowId = preview.windowId;
+            inNewWindow = preview.inNewWindow;
+            if (preview.openAsDiscardedTabs !== openAsDiscardedTabs) {
+                openAsDiscardedTabs = preview.openAsDiscardedTabs;
+                if (openAsDiscardedTabs) {
+                    // Tabs that are navigated after a delay are opened as "about:blank" which can't be discarded:
+                    navigationOfOpenedTabDelay = () => -1;
+                }
+            }
+            // The user has already seen how many tabs will be restored:
+            warnWhenMoreThan = -1;
+        }
+
         if (ensureOneParent && !rootNode.url && rootNode.children.length > 1 && rootNode.hasContent) {
             rootNode.url = getGroupTabURL({ name: rootNode.title });
         }
@@ -329,37 +1080,503 @@ async function restoreTree({
         }
 
 
-        if ((warnWhenMoreThan || warnWhenMoreThan === 0) && warnWhenMoreThan >= 0) {
-            const count = rootNode.count;
-            if (count > warnWhenMoreThan) {
-                const ok = await confirmWithNotification({
-                    title: browser.i18n.getMessage('notifications_RestoreTree_Confirm_Title'),
-                    message: browser.i18n.getMessage('notifications_RestoreTree_Confirm_Message', count),
-                });
-                if (!ok) return [];
-            }
-        }
+        if ((warnWhenMoreThan || warnWhenMoreThan === 0) && warnWhenMoreThan >= 0) {
+            const count = rootNode.count;
+            if (count > warnWhenMoreThan) {
+                const ok = await confirmWithNotification({
+                    title: browser.i18n.getMessage('notifications_RestoreTree_Confirm_Title'),
+                    message: browser.i18n.getMessage('notifications_RestoreTree_Confirm_Message', count),
+                });
+                if (!ok) return [];
+            }
+        }
+
+        const transaction = allOrNothing ? new RestoreTransaction() : null;
+        if (transaction) {
+            await transaction.begin(windowId);
+        }
+
+        /** @type {BrowserWindow | null} */
+        let newWindow = null;
+        if (inNewWindow) {
+            newWindow = await createRestoreWindow({
+                geometry: restoreWindowGeometry ? getWindowInfoNode(rootNode).metadata.window : null,
+            });
+            windowId = newWindow.id;
+            if (transaction) {
+                transaction.addWindow(newWindow);
+            }
+        }
+
+        /** @type {BrowserTab[]} */
+        let openedTabs = [];
+        try {
+            const cancellationToken = new CancellationToken();
+            /** @type {OpenTabsProgress} */
+            let latestProgress = { created: 0, failed: 0, total: rootNode.count };
+            const showProgress = (showProgressWhenMoreThan || showProgressWhenMoreThan === 0) && showProgressWhenMoreThan >= 0 && latestProgress.total > showProgressWhenMoreThan;
+            if (showProgress && windowId === null) {
+                // The progress window will be the current window so open tabs in the window that was current before it:
+                windowId = await getLastFocusedNormalWindowId();
+            }
+
+            const openingTabs = rootNode.openAsTabs({
+                windowId,
+                cancellationToken,
+                onProgress: (progress) => latestProgress = progress,
+
+                delayAfterTabOpen,
+                navigationOfOpenedTabDelay,
+                detachIncorrectParentAfterDelay,
+
+                handleParentLast,
+                allowNonCreatedParent,
+
+                createTempTab,
+                tempTabURL,
+                groupUnderTempTab,
+
+                openAsDiscardedTabs,
+                fixOpenerIdForInternalUrls: openAsDiscardedTabs_fixOpenerIdForInternalUrls,
+                dontFocusOnNewTabs: openAsDiscardedTabs,
+
+                restoreContainers,
+                restoreTabStates,
+                restoreCollapsedState,
+                transaction,
+            });
+            if (showProgress) {
+                showRestoreProgress({ cancellationToken, getProgress: () => latestProgress, closeWhen: openingTabs });
+            }
+            try {
+                openedTabs = await openingTabs;
+            } catch (error) {
+                if (!transaction) throw error;
+                transaction.fail({ reason: 'unknown', error });
+            }
+
+            if (transaction && (transaction.isFailed || cancellationToken.isCancelled)) {
+                console.warn('Rolling back restore of tabs:\n', transaction.failure, '\nTree Style Tab attach calls: ', transaction.tstCalls);
+                const closedCount = await transaction.rollback();
+                // The window was closed by the rollback:
+                newWindow = null;
+                await reportRolledBackRestore({ transaction, cancelled: cancellationToken.isCancelled, closedCount });
+                return [];
+            }
+
+            if (verifyTreeStructure && openedTabs.length > 0) {
+                const detachDelay = detachIncorrectParentAfterDelay();
+                if (typeof detachDelay === 'number') {
+                    // Let incorrect parents be detached first:
+                    await trackedDelay(detachDelay);
+                }
+                try {
+                    await repairRestoredTabTree({
+                        rootNode,
+                        restoredTabIds: openedTabs.map(tab => tab.id),
+                        allowNonCreatedParent,
+                    });
+                } catch (error) {
+                    console.error('Failed to verify the tree structure of restored tabs:\n', error);
+                }
+            }
+
+            if (cancellationToken.isCancelled) {
+                // Only some of the tree was restored:
+                linkToSavedTree = false;
+            }
+
+            if (linkToSavedTree) {
+                await linkTabsToSavedTree(getTabIdsForNodes(savedNodes), rootBookmark.id);
+            }
+
+            if (newWindow && openedTabs.length > 0) {
+                // Remove the blank tab that the window was created with:
+                try {
+                    await browser.tabs.remove(newWindow.tabs.map(tab => tab.id));
+                } catch (error) {
+                    console.error('Failed to remove starter tab from new window:\n', error);
+                }
+            }
+
+            if (onRestored && openedTabs.length > 0) {
+                onRestored({ savedNodes, progress: latestProgress, cancelled: cancellationToken.isCancelled });
+            }
+
+            if (recordOperation) {
+                await recordTreeOperation({ type: 'restore', tabs: openedTabs, tabNodes: [rootNode, ...rootNode.descendants] });
+            }
+
+            return openedTabs;
+        } finally {
+            if (newWindow && openedTabs.length === 0) {
+                // Nothing was restored so don't leave a window with only a blank tab:
+                try {
+                    await browser.windows.remove(newWindow.id);
+                } catch (error) {
+                    console.error('Failed to close new window that no tabs were restored to:\n', error);
+                }
+            }
+        }
+    } catch (error) {
+        console.error(`Failed to restore bookmarked tabs with tree data:\n`, error);
+    }
+}
+
+
+/**
+ * Get the bookmark folder of a saved tree.
+ *
+ * @param {string} bookmarkId The id of the saved tree's bookmark folder or of a bookmark inside it.
+ * @returns {Promise<BookmarkTreeNode>} The folder with all of its content.
+ */
+async function getSavedTreeFolder(bookmarkId) {
+    /** @type {BookmarkTreeNode} */
+    let folderBookmark = (await browser.bookmarks.getSubTree(bookmarkId))[0];
+    if (folderBookmark.type !== 'folder') {
+        folderBookmark = (await browser.bookmarks.getSubTree(folderBookmark.parentId))[0];
+    }
+    return folderBookmark;
+}
+
+/**
+ * Update the bookmarks of a saved tree so that they match the open tabs that were restored from it or bookmarked to it.
+ * Child tabs that have been opened under those tabs are added to the saved tree. Only the bookmarks that need to
+ * change are modified so the folder keeps its position.
+ *
+ * @param {Object} Config Configure how the saved tree is updated.
+ * @param {string} Config.bookmarkId The id of the saved tree's bookmark folder or of a bookmark inside it.
+ * @param {BookmarkFormat | 'auto'} [Config.bookmarkFormat] The tree data format that the folder uses.
+ * @param {boolean} [Config.useLegacyGroupTabURL] Convert Tree Style Tab's group tab URLs to use the legacy URL that is independent of Tree Style Tab's internal id.
+ * @param {boolean} [Config.newGroupTabFallbackURL] Use the newer web extension Tree Style Tab fallback URL "ext+treestyletab:group".
+ * @param {string} [Config.folderSuffix] This suffix will be appended to any created bookmark folders.
+ * @param {BrowserTab[]} [Config.linkedTabs] The tabs that are linked to the saved tree if they are already known.
+ * @returns {Promise<import('../background/saved-trees.js').SavedTreeChanges | null>} The number of changed bookmarks or `null` if the tree wasn't updated.
+ */
+async function updateSavedTree({
+    bookmarkId,
+    bookmarkFormat = 'auto',
+    useLegacyGroupTabURL = false,
+    newGroupTabFallbackURL = false,
+    folderSuffix = '',
+    linkedTabs = null,
+}) {
+    try {
+        const folderBookmark = await getSavedTreeFolder(bookmarkId);
+
+        const tabs = linkedTabs || await getTabsLinkedToSavedTree(folderBookmark.id);
+        if (tabs.length === 0) {
+            await showBasicNotification({
+                title: browser.i18n.getMessage('notifications_UpdateSavedTree_NoTabs_Title'),
+                message: browser.i18n.getMessage('notifications_UpdateSavedTree_NoTabs_Message', folderBookmark.title),
+            });
+            return null;
+        }
+
+        if (!bookmarkFormat || bookmarkFormat === 'auto') {
+            bookmarkFormat = TreeInfoNode.guessBookmarkFormat({ rootBookmark: folderBookmark });
+        }
+
+        const treeNodes = await TreeInfoNode.fromBrowserTabs(tabs);
+        if (treeNodes.length === 0) return null;
+        /** @type {TreeInfoNode} */
+        const rootNode = treeNodes[0].rootNode;
+
+        if (useLegacyGroupTabURL) {
+            await rootNode.convertGroupURL({ useLegacyURL: true, newFallbackURL: newGroupTabFallbackURL });
+        }
+
+        const geometry = await getWindowGeometry(tabs[0].windowId);
+        if (geometry) {
+            getWindowInfoNode(rootNode).metadata.window = geometry;
+        }
+
+        const changes = await updateSavedTreeBookmarks({
+            folderId: folderBookmark.id,
+            rootNode,
+            format: bookmarkFormat,
+            folderSuffix,
+        });
+        console.log(`Updated saved tree in the bookmark folder "${folderBookmark.title}":`, changes);
+
+        // Tabs that were opened under linked tabs are now part of the saved tree:
+        await linkTabsToSavedTree(getTabIdsForNodes([rootNode, ...rootNode.descendants]), folderBookmark.id);
+
+        return changes;
+    } catch (error) {
+        console.error(`Failed to update saved tree:\n`, error);
+        return null;
+    }
+}
+
+
+/**
+ * Count the tree nodes that would be opened as tabs.
+ *
+ * @param {TreeInfoNode | null} rootNode The root of a tree.
+ * @returns {number} The number of nodes with a URL.
+ */
+function countTabNodes(rootNode) {
+    if (!rootNode) return 0;
+    return [rootNode, ...rootNode.descendants].filter(node => node.url).length;
+}
+
+/**
+ * Check that each bookmarked tab has a matching bookmark in the folder that its tree was saved in.
+ *
+ * @param {Object} Params Parameters.
+ * @param {BrowserTab[]} Params.tabs The bookmarked tabs.
+ * @param {BookmarkedTreeInfo} Params.bookmarked Info about the bookmarked tree.
+ * @param {string} Params.folderId The id of the bookmark folder that the tree was saved in.
+ * @returns {Promise<boolean>} `true` if there was a bookmark for every tab.
+ */
+async function hasBookmarkForEachTab({ tabs, bookmarked, folderId }) {
+    const { rootNode: savedRootNode } = await getBookmarkTreeData({ bookmarkId: folderId, bookmarkFormat: bookmarked.format });
+    if (!savedRootNode) return false;
+
+    // Each bookmark can only match one tab:
+    const savedURLs = [savedRootNode, ...savedRootNode.descendants].map(node => node.url).filter(url => url);
+    const nodes = [bookmarked.rootNode, ...bookmarked.rootNode.descendants];
+    for (const tab of tabs) {
+        const node = nodes.find(node => node.instances.tab && tab.id in node.instances.tab);
+        const index = node && node.url ? savedURLs.indexOf(node.url) : -1;
+        if (index < 0) {
+            console.warn(`The tab with id ${tab.id} and URL "${tab.url}" doesn't have a bookmark in the bookmark folder with id "${folderId}".`);
+            return false;
+        }
+        savedURLs.splice(index, 1);
+    }
+    return true;
+}
+
+/**
+ * Bookmark some tabs and then close them. The tabs are only closed if all of them were saved to the created bookmark folder.
+ *
+ * @param {BrowserTab | BrowserTab[]} parentTabs Parent tab(s) to stash together with their children tabs.
+ * @param {Parameters<typeof bookmarkTree>[1]} [config] Configure how the tabs should be bookmarked.
+ * @returns {Promise<BookmarkTreeNode | null>} The bookmark folder that the tabs were stashed in or `null` if they weren't closed.
+ */
+async function stashTree(parentTabs, config = {}) {
+    try {
+        /** @type {BookmarkedTreeInfo | null} */
+        let bookmarked = null;
+        // Undoing the bookmark operation would remove the only copy of the closed tabs:
+        const bookmarks = await bookmarkTree(parentTabs, Object.assign({}, config, { alwaysInFolder: true, recordOperation: false, onBookmarked: (info) => bookmarked = info }));
+        if (!bookmarks || bookmarks.length === 0 || !bookmarked) {
+            // Cancelled by the user or failed to bookmark anything.
+            return null;
+        }
+        const folderBookmark = bookmarks[0];
+
+        // Bookmarked tabs are linked to the created folder:
+        const tabs = bookmarks.length === 1 && folderBookmark.type === 'folder' ? await getTabsLinkedToSavedTree(folderBookmark.id) : [];
+        if (tabs.length === 0 || !await hasBookmarkForEachTab({ tabs, bookmarked, folderId: folderBookmark.id })) {
+            await showBasicNotification({
+                title: browser.i18n.getMessage('notifications_StashTree_Failed_Title'),
+                message: browser.i18n.getMessage('notifications_StashTree_Failed_Message', folderBookmark.title),
+            });
+            return null;
+        }
+
+        await browser.tabs.remove(tabs.map(tab => tab.id));
+        return folderBookmark;
+    } catch (error) {
+        console.error(`Failed to stash tabs:\n`, error);
+        return null;
+    }
+}
+
+/**
+ * Restore a stashed tree and remove its bookmark folder. The folder is only removed if all tabs were opened successfully.
+ *
+ * @param {Parameters<typeof restoreTree>[0]} config Configure how the tabs should be restored. The `bookmarkId` can be the stash's folder or a bookmark inside it.
+ * @returns {Promise<BrowserTab[]>} The opened tabs.
+ */
+async function unstashTree(config) {
+    try {
+        const folderBookmark = await getSavedTreeFolder(config.bookmarkId);
+        const { rootNode } = await getBookmarkTreeData({ bookmarkId: folderBookmark.id, bookmarkFormat: config.bookmarkFormat, foldersAsGroupTabs: config.foldersAsGroupTabs });
+        const expectedCount = countTabNodes(rootNode);
+
+        /** @type {RestoredTreeInfo | null} */
+        let restored = null;
+        // The whole tree must be restored before its bookmarks can be removed:
+        // Undoing the restore would close the only copy of the tabs once the stash is removed:
+        const openedTabs = await restoreTree(Object.assign({}, config, { bookmarkId: folderBookmark.id, maxTreeDepth: -1, recordOperation: false, onRestored: (info) => restored = info }));
+        if (openedTabs && !restored && expectedCount > 0) {
+            // Cancelled by the user or all opened tabs were closed again.
+            return openedTabs;
+        }
+
+        // Every bookmarked tab must have been opened with its own URL:
+        const allRestored = expectedCount === 0 || (
+            restored &&
+            !restored.cancelled &&
+            restored.progress.failed === 0 &&
+            restored.savedNodes.every(node => !node.url || Object.keys(node.instances.tab || {}).length > 0)
+        );
+        if (!openedTabs || !allRestored) {
+            await showBasicNotification({
+                title: browser.i18n.getMessage('notifications_UnstashTree_Failed_Title'),
+                message: browser.i18n.getMessage('notifications_UnstashTree_Failed_Message', folderBookmark.title),
+            });
+            return openedTabs || [];
+        }
+
+        await browser.bookmarks.removeTree(folderBookmark.id);
+        return openedTabs;
+    } catch (error) {
+        console.error(`Failed to unstash tabs:\n`, error);
+        return [];
+    }
+}
+
+
+/**
+ * Get a bookmark folder whose id is stored in a setting. A new folder is created in the default location if the
+ * setting is empty or the folder doesn't exist anymore.
+ *
+ * @param {string} settingKey The key of the setting that stores the folder's id.
+ * @param {string} defaultTitleMessage The i18n message name for the title of a created folder.
+ * @returns {Promise<{ folderId: string, created: boolean }>} The folder's id and `true` if the folder was created.
+ */
+async function getFolderFromSetting(settingKey, defaultTitleMessage) {
+    const folderId = settings[settingKey];
+    if (folderId) {
+        try {
+            await browser.bookmarks.get(folderId);
+            return { folderId, created: false };
+        } catch (error) {
+            console.warn(`The bookmark folder with id "${folderId}" from the "${settingKey}" setting couldn't be found so a new folder will be created:\n`, error);
+        }
+    }
+    /** @type {BookmarkTreeNode} */
+    const folder = await browser.bookmarks.create({ title: browser.i18n.getMessage(defaultTitleMessage) });
+    await SettingsTracker.set(settingKey, folder.id);
+    return { folderId: folder.id, created: true };
+}
+
+/**
+ * Get the complete tab tree of a window.
+ *
+ * @param {BrowserWindow} window The window with its tabs populated.
+ * @param {Object} [Params] Parameters.
+ * @param {boolean} [Params.useLegacyGroupTabURL] Convert Tree Style Tab's group tab URLs to use the legacy URL that is independent of Tree Style Tab's internal id.
+ * @param {boolean} [Params.newGroupTabFallbackURL] Use the newer web extension Tree Style Tab fallback URL "ext+treestyletab:group".
+ * @returns {Promise<TreeInfoNode | null>} The root of the window's tree or `null` if the window has no tabs.
+ */
+async function getWindowTree(window, { useLegacyGroupTabURL = false, newGroupTabFallbackURL = false } = {}) {
+    if (!window.tabs || window.tabs.length === 0) return null;
+
+    const treeNodes = await TreeInfoNode.fromBrowserTabs(window.tabs);
+    if (treeNodes.length === 0) return null;
+    /** @type {TreeInfoNode} */
+    const rootNode = treeNodes[0].rootNode;
+
+    if (useLegacyGroupTabURL) {
+        await rootNode.convertGroupURL({ useLegacyURL: true, newFallbackURL: newGroupTabFallbackURL });
+    }
+    const geometry = await getWindowGeometry(window.id);
+    if (geometry) {
+        getWindowInfoNode(rootNode).metadata.window = geometry;
+    }
+    return rootNode;
+}
+
+/**
+ * Get the complete tab trees of all normal windows.
+ *
+ * @param {Object} [Params] Parameters.
+ * @param {boolean} [Params.includePrivateWindows] Include the trees of private windows.
+ * @param {boolean} [Params.useLegacyGroupTabURL] Convert Tree Style Tab's group tab URLs to use the legacy URL that is independent of Tree Style Tab's internal id.
+ * @param {boolean} [Params.newGroupTabFallbackURL] Use the newer web extension Tree Style Tab fallback URL "ext+treestyletab:group".
+ * @returns {Promise<{ window: BrowserWindow, rootNode: TreeInfoNode }[]>} A tree for each window that has tabs.
+ */
+async function getSessionTrees({ includePrivateWindows = false, useLegacyGroupTabURL = false, newGroupTabFallbackURL = false } = {}) {
+    /** @type {BrowserWindow[]} */
+    const windows = await browser.windows.getAll({ populate: true, windowTypes: ['normal'] });
+
+    const trees = [];
+    for (const window of windows) {
+        if (window.incognito && !includePrivateWindows) continue;
 
-        return await rootNode.openAsTabs({
-            windowId,
+        const rootNode = await getWindowTree(window, { useLegacyGroupTabURL, newGroupTabFallbackURL });
+        if (!rootNode) continue;
 
-            delayAfterTabOpen,
-            navigationOfOpenedTabDelay,
-            detachIncorrectParentAfterDelay,
+        trees.push({ window, rootNode });
+    }
+    return trees;
+}
 
-            handleParentLast,
-            allowNonCreatedParent,
+/**
+ * Bookmark the complete tab trees of all normal windows. Each window's tree is saved in its own bookmark folder inside
+ * a new folder for the whole session so that the windows can be restored one by one.
+ *
+ * @param {Object} [Config] Configure how the session is bookmarked.
+ * @param {string | null} [Config.parentBookmarkId] The id of the bookmark folder to create the session's folder in.
+ * @param {string} [Config.sessionFolderTitleTemplate] A template for the title of the session's folder. Supports the `{date}`, `{time}`, `{windowCount}` and `{tabCount}` placeholders.
+ * @param {BookmarkFormat} [Config.bookmarkFormat] Determines how tree data is stored in the bookmarks.
+ * @param {boolean} [Config.useLegacyGroupTabURL] Convert Tree Style Tab's group tab URLs to use the legacy URL that is independent of Tree Style Tab's internal id.
+ * @param {boolean} [Config.newGroupTabFallbackURL] Use the newer web extension Tree Style Tab fallback URL "ext+treestyletab:group".
+ * @param {string} [Config.folderSuffix] This suffix will be appended to the window folders' names.
+ * @param {string} [Config.folderTitleTemplate] A template for the window folders' names. Empty to use the first tab's title.
+ * @param {boolean} [Config.includePrivateWindows] Include the trees of private windows.
+ * @param {{ window: BrowserWindow, rootNode: TreeInfoNode }[]} [Config.sessionTrees] The trees to save. Found using `getSessionTrees` if not specified.
+ * @returns {Promise<BookmarkTreeNode | null>} The session's bookmark folder or `null` if nothing was bookmarked.
+ */
+async function snapshotSession({
+    parentBookmarkId = null,
+    sessionFolderTitleTemplate = '',
+    bookmarkFormat = null,
+    useLegacyGroupTabURL = false,
+    newGroupTabFallbackURL = false,
+    folderSuffix = '',
+    folderTitleTemplate = '',
+    includePrivateWindows = false,
+    sessionTrees = null,
+} = {}) {
+    try {
+        if (!sessionTrees) {
+            sessionTrees = await getSessionTrees({ includePrivateWindows, useLegacyGroupTabURL, newGroupTabFallbackURL });
+        }
+        if (sessionTrees.length === 0) return null;
+
+        if (parentBookmarkId) {
+            try {
+                await browser.bookmarks.get(parentBookmarkId);
+            } catch (error) {
+                console.warn(`The bookmark folder with id "${parentBookmarkId}" couldn't be found so the session will be bookmarked in the default location instead:\n`, error);
+                parentBookmarkId = null;
+            }
+        }
 
-            createTempTab,
-            tempTabURL,
-            groupUnderTempTab,
+        const sessionFolderDetails = {
+            title: fillFolderTitleTemplate(sessionFolderTitleTemplate || browser.i18n.getMessage('bookmark_DefaultSessionFolderTitleTemplate'), Object.assign({
+                windowCount: sessionTrees.length,
+                tabCount: sessionTrees.reduce((count, { rootNode }) => count + rootNode.count, 0),
+            }, getDateTimeTemplateValues())),
+        };
+        if (parentBookmarkId) {
+            sessionFolderDetails.parentId = parentBookmarkId;
+        }
+        /** @type {BookmarkTreeNode} */
+        const sessionFolder = await browser.bookmarks.create(sessionFolderDetails);
+
+        for (const { window, rootNode } of sessionTrees) {
+            await rootNode.saveAsBookmarks({
+                parentBookmarkId: sessionFolder.id,
+                format: bookmarkFormat || TreeInfoNode.bookmarkFormat.separators,
+                folderSuffix,
+                folderTitleTemplate,
+                folderTitleValues: { windowTitle: window.title || '' },
+                inFolder: true,
+            });
+        }
 
-            openAsDiscardedTabs,
-            fixOpenerIdForInternalUrls: openAsDiscardedTabs_fixOpenerIdForInternalUrls,
-            dontFocusOnNewTabs: openAsDiscardedTabs,
-        });
+        return sessionFolder;
     } catch (error) {
-        console.error(`Failed to restore bookmarked tabs with tree data:\n`, error);
+        console.error(`Failed to bookmark the session:\n`, error);
+        return null;
     }
 }
 
@@ -378,6 +1595,9 @@ async function restoreTree({
 /** @type {null | boolean | RegistrationInfo} */
 let latestTstRegistrationInfo = null;
 
+/** Messages from Tree Style Tab about changes to the tree structure that synced saved trees and tracked window trees need to know about. */
+const treeChangedTSTMessageTypes = ['tree-attached', 'tree-detached', 'tree-collapsed-state-changed'];
+
 async function registerToTST() {
     let success = true;
     try {
@@ -391,6 +1611,13 @@ async function registerToTST() {
         if (settings.hasTSTContextMenu) {
             registrationDetails.listeningTypes.push('fake-contextMenu-click');
         }
+        if (settings.syncedSavedTreeFolderIds.length > 0 || settings.bookmarkClosedWindows || settings.bookmarkClosedTrees) {
+            // Synced trees and tracked window trees need to be updated when the tree structure changes:
+            registrationDetails.listeningTypes.push(...treeChangedTSTMessageTypes);
+        }
+        if (settings.bookmarkClosedTrees) {
+            registrationDetails.listeningTypes.push('tab-removed');
+        }
 
         latestTstRegistrationInfo = await browser.runtime.sendMessage(kTST_ID, registrationDetails);
 
@@ -399,6 +1626,19 @@ async function registerToTST() {
                 id: 'bookmark-tree',
                 title: settings.customTSTContextMenuLabel || browser.i18n.getMessage('contextMenu_TreeStyleTabAndMTH'),
             });
+            if (settings.bookmarkTreeVariants.length > 0) {
+                success = await createTSTContextMenuItem({
+                    id: 'bookmark-tree-variants',
+                    title: browser.i18n.getMessage('contextMenu_BookmarkTreeVariants'),
+                }) && success;
+                for (const [index, variant] of settings.bookmarkTreeVariants.entries()) {
+                    success = await createTSTContextMenuItem({
+                        id: `bookmark-tree-variant-${index}`,
+                        title: getVariantTitle(variant, index, 'contextMenu_BookmarkTreeVariant_DefaultLabel'),
+                        parentId: 'bookmark-tree-variants',
+                    }) && success;
+                }
+            }
         }
 
         notifyPrivacyInfo();
@@ -451,16 +1691,29 @@ privatePermission.promise.then(() => {
 
 // #region Multiple Tab Handler
 
+/** The number of bookmark tree variants that have commands in Multiple Tab Handler's context menu. */
+let registeredMTHVariantCount = 0;
+
 async function registerToMTH() {
     let success = true;
     try {
         await removeMTHContextMenuItem('mth-bookmark-tree');
+        for (let index = 0; index < registeredMTHVariantCount; index++) {
+            await removeMTHContextMenuItem(`mth-bookmark-tree-variant-${index}`);
+        }
+        registeredMTHVariantCount = 0;
 
         if (!settings.hasMTHContextMenu) {
             return true;
         }
 
         success = await createMTHContextMenuItem('mth-bookmark-tree', settings.customMTHContextMenuLabel || browser.i18n.getMessage('contextMenu_TreeStyleTabAndMTH'));
+
+        for (const [index, variant] of settings.bookmarkTreeVariants.entries()) {
+            const title = browser.i18n.getMessage('contextMenu_BookmarkTreeVariant_MTH', getVariantTitle(variant, index, 'contextMenu_BookmarkTreeVariant_DefaultLabel'));
+            success = await createMTHContextMenuItem(`mth-bookmark-tree-variant-${index}`, title) && success;
+            registeredMTHVariantCount = index + 1;
+        }
     } catch (error) { return false; }
 
     return success;
@@ -471,12 +1724,52 @@ async function registerToMTH() {
 
 // #region Context Menu
 
+/**
+ * Get the title to use for a variant's context menu item or command.
+ *
+ * @param {SettingOverridesEntry} variant The variant to get a title for.
+ * @param {number} index The variant's index among all variants of the same kind.
+ * @param {string} defaultLabelMessage The i18n message name for the title to use if the variant has no label. The message gets the variant's number as a placeholder.
+ * @returns {string} A title for the variant.
+ */
+function getVariantTitle(variant, index, defaultLabelMessage) {
+    return variant.label || browser.i18n.getMessage(defaultLabelMessage, index + 1);
+}
+
+/**
+ * Get the index of the variant that a context menu item or command was created for.
+ *
+ * @param {string | number} itemId The id of a context menu item or command.
+ * @param {string} prefix The prefix for the ids of items that were created for a kind of variants.
+ * @returns {number} The index of the variant or `-1` if the id doesn't belong to a variant.
+ */
+function getVariantIndexFromItemId(itemId, prefix) {
+    itemId = String(itemId);
+    if (!itemId.startsWith(prefix)) {
+        return -1;
+    }
+    const index = parseInt(itemId.slice(prefix.length));
+    return isNaN(index) ? -1 : index;
+}
+
 async function updateContextMenu() {
     try {
         await browser.contextMenus.removeAll();
 
+        const hasRestoreTreeVariants = settings.hasRestoreTreeContextMenu && settings.restoreTreeVariants.length > 0;
+        const hasBookmarkTreeVariants = settings.hasTabContextMenu && settings.bookmarkTreeVariants.length > 0;
+
+        const bookmarkItemCount = [
+            settings.hasRestoreTreeContextMenu,
+            hasRestoreTreeVariants,
+            settings.hasMigrateContextMenu,
+            settings.hasUpdateSavedTreeContextMenu,
+            settings.hasSyncSavedTreeContextMenu,
+            settings.hasStashTreeContextMenu,
+        ].filter(enabled => enabled).length;
+
         let bookmarkParentId = null;
-        if (settings.hasRestoreTreeContextMenu && settings.hasMigrateContextMenu) {
+        if (bookmarkItemCount > 1) {
             bookmarkParentId = await browser.contextMenus.create({
                 contexts: ['bookmark'],
                 title: settings.customTopLevelBookmarkContextMenuLabel || browser.i18n.getMessage(`contextMenu_BookmarkTopLevelDefaultLabel`),
@@ -487,10 +1780,31 @@ async function updateContextMenu() {
 
         for (const contextMenuItem of [
             { id: 'RestoreTree', title: settings.customRestoreTreeContextMenuLabel, contexts: ['bookmark'], enabled: settings.hasRestoreTreeContextMenu, parentId: bookmarkParentId, },
+            { id: 'RestoreTreeVariants', contexts: ['bookmark'], enabled: hasRestoreTreeVariants, parentId: bookmarkParentId, },
+            ...settings.restoreTreeVariants.map((variant, index) => ({
+                id: `RestoreTreeVariant-${index}`,
+                title: getVariantTitle(variant, index, 'contextMenu_RestoreTreeVariant_DefaultLabel'),
+                contexts: ['bookmark'],
+                enabled: hasRestoreTreeVariants,
+                parentId: 'RestoreTreeVariants',
+            })),
             { id: 'MigrateTreeData', title: settings.customMigrateContextMenuLabel, contexts: ['bookmark'], enabled: settings.hasMigrateContextMenu, parentId: bookmarkParentId, },
+            { id: 'UpdateSavedTree', title: settings.customUpdateSavedTreeContextMenuLabel, contexts: ['bookmark'], enabled: settings.hasUpdateSavedTreeContextMenu, parentId: bookmarkParentId, },
+            { id: 'SyncSavedTree', title: settings.customSyncSavedTreeContextMenuLabel, contexts: ['bookmark'], enabled: settings.hasSyncSavedTreeContextMenu, parentId: bookmarkParentId, type: 'checkbox', },
+            { id: 'UnstashTree', title: settings.customUnstashTreeContextMenuLabel, contexts: ['bookmark'], enabled: settings.hasStashTreeContextMenu, parentId: bookmarkParentId, },
             { id: 'BookmarkTree', title: settings.customBookmarkTreeContextMenuLabel, contexts: ['tab'], enabled: settings.hasTabContextMenu },
+            { id: 'BookmarkTreeVariants', contexts: ['tab'], enabled: hasBookmarkTreeVariants, },
+            ...settings.bookmarkTreeVariants.map((variant, index) => ({
+                id: `BookmarkTreeVariant-${index}`,
+                title: getVariantTitle(variant, index, 'contextMenu_BookmarkTreeVariant_DefaultLabel'),
+                contexts: ['tab'],
+                enabled: hasBookmarkTreeVariants,
+                parentId: 'BookmarkTreeVariants',
+            })),
+            { id: 'StashTree', title: settings.customStashTreeContextMenuLabel, contexts: ['tab'], enabled: settings.hasStashTreeContextMenu, },
+            { id: 'SnapshotSession', title: settings.customSnapshotSessionContextMenuLabel, contexts: ['tab'], enabled: settings.hasSnapshotSessionContextMenu, },
         ]) {
-            const { id, title, contexts, enabled = true, isDefaults = false, parentId = null } = typeof contextMenuItem === 'string' ? /** @type {Object} */ ({ id: contextMenuItem }) : contextMenuItem;
+            const { id, title, contexts, enabled = true, isDefaults = false, parentId = null, type = null } = typeof contextMenuItem === 'string' ? /** @type {Object} */ ({ id: contextMenuItem }) : contextMenuItem;
             if (!enabled) {
                 continue;
             }
@@ -514,6 +1828,9 @@ async function updateContextMenu() {
                     id: id,
                     title: title || browser.i18n.getMessage(`contextMenu_${id}`),
                 });
+                if (type) {
+                    details.type = type;
+                }
             }
             await browser.contextMenus.create(details);
         }
@@ -527,6 +1844,14 @@ async function updateContextMenu() {
 // #endregion Context Menu
 
 
+// #region Browser Startup
+
+/** Resolved if the extension was loaded because the browser was started. The listener is added before any settings are loaded so that the event isn't missed. */
+const browserStartup = new Promise((resolve) => browser.runtime.onStartup.addListener(() => resolve()));
+
+// #endregion Browser Startup
+
+
 settingsTracker.start.finally(async () => {
 
     // #region Browser Version
@@ -564,39 +1889,67 @@ settingsTracker.start.finally(async () => {
 
     // #region Settings
 
-    const getBookmarkTreeSettings = () => {
+    /**
+     * Get the configuration for bookmarking trees.
+     *
+     * @param {Object<string, any>} [overrides] Setting values that should be used instead of the current settings.
+     */
+    const getBookmarkTreeSettings = (overrides = null) => {
+        const currentSettings = overrides ? Object.assign({}, settings, overrides) : settings;
         /** @type {Partial<Parameters<typeof bookmarkTree>[1]>} */
         const config = {
-            bookmarkFormat: settings.bookmarkTreeWithBookmarkFormat,
-            useLegacyGroupTabURL: settings.bookmarkGroupTabsWithLegacyURL,
-            newGroupTabFallbackURL: settings.bookmarkGroupTabsWithLegacyURL_NewerFallbackURL,
-            warnWhenMoreThan: settings.warnWhenBookmarkingMoreThan,
-            folderSuffix: settings.bookmarkSuffix,
+            parentBookmarkId: currentSettings.bookmarkTreeDestinationFolderId || null,
+            askForParentBookmarkId: currentSettings.bookmarkTreeAskForDestinationFolder,
+            bookmarkFormat: currentSettings.bookmarkTreeWithBookmarkFormat,
+            useLegacyGroupTabURL: currentSettings.bookmarkGroupTabsWithLegacyURL,
+            newGroupTabFallbackURL: currentSettings.bookmarkGroupTabsWithLegacyURL_NewerFallbackURL,
+            maxTreeDepth: currentSettings.bookmarkTreeMaxDepth,
+            warnWhenMoreThan: currentSettings.warnWhenBookmarkingMoreThan,
+            folderSuffix: currentSettings.bookmarkSuffix,
+            folderTitleTemplate: currentSettings.bookmarkFolderTitleTemplate,
+            showPreview: currentSettings.bookmarkTreeShowPreview,
         };
         return config;
     };
-    const getRestoreTreeSettings = () => {
-        const asDiscarded = majorBrowserVersion >= 63 && settings.openAsDiscardedTabs;
+    /**
+     * Get the configuration for restoring trees.
+     *
+     * @param {Object<string, any>} [overrides] Setting values that should be used instead of the current settings.
+     */
+    const getRestoreTreeSettings = (overrides = null) => {
+        const currentSettings = overrides ? Object.assign({}, settings, overrides) : settings;
+        const asDiscarded = majorBrowserVersion >= 63 && currentSettings.openAsDiscardedTabs;
         /** @type {Partial<Parameters<typeof restoreTree>[0]>} */
         const config = {
-            handleParentLast: settings.setParentAfterTabCreate,
+            handleParentLast: currentSettings.setParentAfterTabCreate,
 
-            delayAfterTabOpen: () => settings.delayAfterTabOpen,
-            navigationOfOpenedTabDelay: () => asDiscarded ? -1 : settings.delayBeforeNavigating,
-            detachIncorrectParentAfterDelay: () => settings.detachIncorrectParentsAfter,
+            delayAfterTabOpen: () => currentSettings.delayAfterTabOpen,
+            navigationOfOpenedTabDelay: () => asDiscarded ? -1 : currentSettings.delayBeforeNavigating,
+            detachIncorrectParentAfterDelay: () => currentSettings.detachIncorrectParentsAfter,
 
-            createTempTab: settings.createTempTabWhenRestoring,
-            tempTabURL: settings.tempTabURL,
-            groupUnderTempTab: settings.gruopUnderTempTabWhenRestoring,
-            ensureOneParent: settings.ensureOneParentWhenCreatingTabs,
+            createTempTab: currentSettings.createTempTabWhenRestoring,
+            tempTabURL: currentSettings.tempTabURL,
+            groupUnderTempTab: currentSettings.gruopUnderTempTabWhenRestoring,
+            ensureOneParent: currentSettings.ensureOneParentWhenCreatingTabs,
             openAsDiscardedTabs: asDiscarded,
-            openAsDiscardedTabs_fixOpenerIdForInternalUrls: settings.openAsDiscardedTabs_fixOpenerTabIdForInternalFirefoxUrls,
-
-            bookmarkFormat: settings.restoreTreeWithBookmarkFormat,
-
-            fixGroupTabURLs: settings.fixGroupTabURLsOnRestore,
-            fixGroupTabToSidebery: settings.groupTab_restoreUsingSidebery,
-            warnWhenMoreThan: settings.warnWhenRestoringMoreThan,
+            openAsDiscardedTabs_fixOpenerIdForInternalUrls: currentSettings.openAsDiscardedTabs_fixOpenerTabIdForInternalFirefoxUrls,
+            restoreContainers: currentSettings.restoreContainers,
+            restoreTabStates: currentSettings.restoreTabStates,
+            maxTreeDepth: currentSettings.restoreTreeMaxDepth,
+            inNewWindow: currentSettings.restoreTreeInNewWindow,
+            restoreWindowGeometry: currentSettings.restoreWindowGeometry,
+            restoreCollapsedState: currentSettings.restoreCollapsedState,
+
+            bookmarkFormat: currentSettings.restoreTreeWithBookmarkFormat,
+            foldersAsGroupTabs: currentSettings.restoreTreeNestedFoldersAsGroupTabs,
+
+            fixGroupTabURLs: currentSettings.fixGroupTabURLsOnRestore,
+            fixGroupTabToSidebery: currentSettings.groupTab_restoreUsingSidebery,
+            warnWhenMoreThan: currentSettings.warnWhenRestoringMoreThan,
+            showPreview: currentSettings.restoreTreeShowPreview,
+            showProgressWhenMoreThan: currentSettings.restoreTreeShowProgressWhenMoreThan,
+            allOrNothing: currentSettings.restoreTreeAllOrNothing,
+            verifyTreeStructure: currentSettings.restoreTreeVerifyStructure,
         };
         return config;
     };
@@ -608,6 +1961,31 @@ settingsTracker.start.finally(async () => {
             removeSuffix: settings.migrateTreeData_removeSuffix,
             addSuffix: settings.migrateTreeData_addSuffix,
             onlyAddSuffixIfSuffixWasRemoved: settings.migrateTreeData_onlyAddSuffixIfSuffixWasRemoved,
+            folderTitleTemplate: settings.bookmarkFolderTitleTemplate,
+        };
+        return config;
+    };
+    const getSnapshotSessionSettings = () => {
+        /** @type {Partial<Parameters<typeof snapshotSession>[0]>} */
+        const config = {
+            parentBookmarkId: settings.bookmarkTreeDestinationFolderId || null,
+            sessionFolderTitleTemplate: settings.sessionFolderTitleTemplate,
+            bookmarkFormat: settings.bookmarkTreeWithBookmarkFormat,
+            useLegacyGroupTabURL: settings.bookmarkGroupTabsWithLegacyURL,
+            newGroupTabFallbackURL: settings.bookmarkGroupTabsWithLegacyURL_NewerFallbackURL,
+            folderSuffix: settings.bookmarkSuffix,
+            folderTitleTemplate: settings.bookmarkFolderTitleTemplate,
+        };
+        return config;
+    };
+    const getUpdateSavedTreeSettings = () => {
+        /** @type {Partial<Parameters<typeof updateSavedTree>[0]>} */
+        const config = {
+            // Saved trees are parsed with the same format as when they are restored:
+            bookmarkFormat: settings.restoreTreeWithBookmarkFormat,
+            useLegacyGroupTabURL: settings.bookmarkGroupTabsWithLegacyURL,
+            newGroupTabFallbackURL: settings.bookmarkGroupTabsWithLegacyURL_NewerFallbackURL,
+            folderSuffix: settings.bookmarkSuffix,
         };
         return config;
     };
@@ -615,14 +1993,19 @@ settingsTracker.start.finally(async () => {
     settingsTracker.onChange.addListener((changes) => {
         if (
             changes.hasTSTContextMenu ||
-            changes.customTSTContextMenuLabel
+            changes.customTSTContextMenuLabel ||
+            changes.bookmarkTreeVariants ||
+            changes.syncedSavedTreeFolderIds ||
+            changes.bookmarkClosedWindows ||
+            changes.bookmarkClosedTrees
         ) {
             registerToTST();
         }
 
         if (
             changes.hasMTHContextMenu ||
-            changes.customMTHContextMenuLabel
+            changes.customMTHContextMenuLabel ||
+            changes.bookmarkTreeVariants
         ) {
             registerToMTH();
         }
@@ -631,10 +2014,21 @@ settingsTracker.start.finally(async () => {
             changes.customRestoreTreeContextMenuLabel ||
             changes.customBookmarkTreeContextMenuLabel ||
             changes.customMigrateContextMenuLabel ||
+            changes.customUpdateSavedTreeContextMenuLabel ||
+            changes.customSyncSavedTreeContextMenuLabel ||
+            changes.customStashTreeContextMenuLabel ||
+            changes.customUnstashTreeContextMenuLabel ||
+            changes.customSnapshotSessionContextMenuLabel ||
             changes.hasTabContextMenu ||
             changes.hasRestoreTreeContextMenu ||
             changes.hasMigrateContextMenu ||
-            changes.customTopLevelBookmarkContextMenuLabel
+            changes.hasUpdateSavedTreeContextMenu ||
+            changes.hasSyncSavedTreeContextMenu ||
+            changes.hasStashTreeContextMenu ||
+            changes.hasSnapshotSessionContextMenu ||
+            changes.customTopLevelBookmarkContextMenuLabel ||
+            changes.restoreTreeVariants ||
+            changes.bookmarkTreeVariants
         ) {
             updateContextMenu();
         }
@@ -650,12 +2044,354 @@ settingsTracker.start.finally(async () => {
         if (changes.warnAboutMisconfiguredPrivacySettings) {
             tstPrivacyIssues.autoUpdatePopup = settings.warnAboutMisconfiguredPrivacySettings;
         }
+
+        if (changes.syncedSavedTreeFolderIds) {
+            savedTreeSyncer.folderIds = settings.syncedSavedTreeFolderIds;
+        }
+
+        if (changes.autoSnapshotEnabled || changes.autoSnapshotIntervalMinutes) {
+            updateAutoSnapshotAlarm();
+        }
+
+        if (changes.bookmarkClosedWindows || changes.bookmarkClosedTrees) {
+            updateWindowTreeTracking();
+        }
     });
     tstPrivacyIssues.autoUpdatePopup = settings.warnAboutMisconfiguredPrivacySettings;
 
     // #endregion Settings
 
 
+    // #region Synced Saved Trees
+
+    const savedTreeSyncer = new SavedTreeSyncer({
+        updateTree: (folderId, linkedTabs) => updateSavedTree(Object.assign({ bookmarkId: folderId, linkedTabs }, getUpdateSavedTreeSettings())),
+        delay: () => settings.syncSavedTreeDelay,
+        folderIds: settings.syncedSavedTreeFolderIds,
+    });
+    savedTreeSyncer.onSyncStopped.addListener(async (folderId, reason, title) => {
+        await SettingsTracker.set('syncedSavedTreeFolderIds', settings.syncedSavedTreeFolderIds.filter(id => id !== folderId));
+
+        const messageName = {
+            removed: 'notifications_SyncSavedTree_Stopped_Removed',
+            edited: 'notifications_SyncSavedTree_Stopped_Edited',
+            noTabs: 'notifications_SyncSavedTree_Stopped_NoTabs',
+        }[reason];
+        await showBasicNotification({
+            title: browser.i18n.getMessage('notifications_SyncSavedTree_Stopped_Title'),
+            message: browser.i18n.getMessage(messageName, title || ''),
+        });
+    });
+
+    /**
+     * Start or stop keeping a saved tree up to date with its tabs.
+     *
+     * @param {string} bookmarkId The id of the saved tree's bookmark folder or of a bookmark inside it.
+     * @param {boolean} synced `true` to keep the saved tree up to date, `false` to stop doing so.
+     */
+    async function setSavedTreeSynced(bookmarkId, synced) {
+        try {
+            const folderBookmark = await getSavedTreeFolder(bookmarkId);
+            const folderIds = settings.syncedSavedTreeFolderIds.filter(id => id !== folderBookmark.id);
+            if (synced) {
+                const tabs = await getTabsLinkedToSavedTree(folderBookmark.id);
+                if (tabs.length === 0) {
+                    await showBasicNotification({
+                        title: browser.i18n.getMessage('notifications_SyncSavedTree_NoTabs_Title'),
+                        message: browser.i18n.getMessage('notifications_UpdateSavedTree_NoTabs_Message', folderBookmark.title),
+                    });
+                    return;
+                }
+                folderIds.push(folderBookmark.id);
+            }
+            await SettingsTracker.set('syncedSavedTreeFolderIds', folderIds);
+        } catch (error) {
+            console.error(`Failed to change if a saved tree is synced:\n`, error);
+        }
+    }
+
+    // #endregion Synced Saved Trees
+
+
+    // #region Scheduled Session Snapshots
+
+    const autoSnapshotAlarmName = 'autoSnapshot';
+    /** Wait a while after the browser has started so that the previous session's tabs have been restored. */
+    const autoSnapshotStartupDelay = 60 * 1000;
+    let autoSnapshotInProgress = false;
+    /** Only snapshots that were taken automatically are removed by the retention policy. */
+    const autoSnapshotFolders = new CreatedBookmarkFolders({ storageKey: 'autoSnapshotCreatedFolderIds' });
+    /** The key in local storage for a hash of the trees in the latest automatic snapshot. Used to skip snapshots if nothing has changed. */
+    const autoSnapshotLastHashKey = 'autoSnapshotLastHash';
+
+    /**
+     * Remove automatic snapshots that aren't kept by the retention policy.
+     *
+     * @param {string} folderId The id of the folder that contains the snapshots.
+     */
+    async function removeOldSnapshots(folderId) {
+        await autoSnapshotFolders.prune(folderId, (snapshots) => getSnapshotsToRemove(snapshots, {
+            keepLast: settings.autoSnapshotKeepLast,
+            keepDailyForDays: settings.autoSnapshotKeepDailyForDays,
+            keepWeeklyForWeeks: settings.autoSnapshotKeepWeeklyForWeeks,
+        }));
+    }
+
+    /**
+     * Bookmark the trees of all windows into the folder for automatic snapshots unless nothing has changed since the
+     * latest automatic snapshot.
+     */
+    async function takeAutoSnapshot() {
+        if (autoSnapshotInProgress) return;
+        autoSnapshotInProgress = true;
+        try {
+            const config = getSnapshotSessionSettings();
+            const sessionTrees = await getSessionTrees({
+                includePrivateWindows: settings.autoSnapshotIncludePrivateWindows,
+                useLegacyGroupTabURL: config.useLegacyGroupTabURL,
+                newGroupTabFallbackURL: config.newGroupTabFallbackURL,
+            });
+            if (sessionTrees.length === 0) return;
+
+            const hash = getSessionHash(sessionTrees.map(({ rootNode }) => rootNode));
+            const { folderId, created } = await getFolderFromSetting('autoSnapshotFolderId', 'bookmark_DefaultAutoSnapshotFolderTitle');
+            const lastHash = (await browser.storage.local.get({ [autoSnapshotLastHashKey]: '' }))[autoSnapshotLastHashKey];
+            if (!created && hash === lastHash) {
+                // Nothing changed since the latest snapshot.
+                return;
+            }
+
+            const sessionFolder = await snapshotSession(Object.assign(config, { parentBookmarkId: folderId, sessionTrees }));
+            if (!sessionFolder) return;
+            await autoSnapshotFolders.add(sessionFolder.id);
+            await browser.storage.local.set({ [autoSnapshotLastHashKey]: hash });
+
+            await removeOldSnapshots(folderId);
+        } catch (error) {
+            console.error(`Failed to take automatic session snapshot:\n`, error);
+        } finally {
+            autoSnapshotInProgress = false;
+        }
+    }
+
+    async function updateAutoSnapshotAlarm() {
+        try {
+            const periodInMinutes = settings.autoSnapshotEnabled ? settings.autoSnapshotIntervalMinutes : 0;
+            const alarm = await browser.alarms.get(autoSnapshotAlarmName);
+            if (alarm && alarm.periodInMinutes === periodInMinutes) {
+                // Keep the current alarm so that restarting the browser doesn't delay the next snapshot.
+                return;
+            }
+            await browser.alarms.clear(autoSnapshotAlarmName);
+            if (periodInMinutes > 0) {
+                browser.alarms.create(autoSnapshotAlarmName, { periodInMinutes });
+            }
+        } catch (error) {
+            console.error('Failed to schedule automatic session snapshots:\n', error);
+        }
+    }
+
+    browser.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === autoSnapshotAlarmName && settings.autoSnapshotEnabled) {
+            takeAutoSnapshot();
+        }
+    });
+    updateAutoSnapshotAlarm();
+
+    browserStartup.then(async () => {
+        // The browser's shutdown can't be detected so the session is saved soon after startup instead:
+        await delay(autoSnapshotStartupDelay);
+        if (settings.autoSnapshotEnabled && settings.autoSnapshotOnStartup) {
+            takeAutoSnapshot();
+        }
+    });
+
+    // #endregion Scheduled Session Snapshots
+
+
+    // #region Closed Windows
+
+    const windowTreeTracker = new WindowTreeTracker({
+        getWindowTree: (window) => {
+            // Tabs from private windows are never bookmarked automatically:
+            if (window.incognito) return Promise.resolve(null);
+            const config = getSnapshotSessionSettings();
+            return getWindowTree(window, { useLegacyGroupTabURL: config.useLegacyGroupTabURL, newGroupTabFallbackURL: config.newGroupTabFallbackURL });
+        },
+    });
+    /** Only folders for closed windows are removed when there are too many of them. */
+    const closedWindowFolders = new CreatedBookmarkFolders({ storageKey: 'closedWindowsCreatedFolderIds' });
+    windowTreeTracker.onWindowClosed.addListener(async (windowId, { window, rootNode }) => {
+        if (!settings.bookmarkClosedWindows) return;
+        try {
+            const { folderId } = await getFolderFromSetting('closedWindowsFolderId', 'bookmark_DefaultClosedWindowsFolderTitle');
+            const config = getSnapshotSessionSettings();
+            const [windowFolder] = await rootNode.saveAsBookmarks({
+                parentBookmarkId: folderId,
+                format: config.bookmarkFormat || TreeInfoNode.bookmarkFormat.separators,
+                folderSuffix: config.folderSuffix,
+                folderTitleTemplate: config.folderTitleTemplate,
+                folderTitleValues: { windowTitle: window.title || '' },
+                inFolder: true,
+            });
+
+            if (windowFolder) {
+                await closedWindowFolders.add(windowFolder.id);
+            }
+
+            // Only keep the most recently closed windows:
+            await closedWindowFolders.prune(folderId, (closedWindows) => closedWindows
+                .sort((a, b) => (b.dateAdded || 0) - (a.dateAdded || 0))
+                .slice(Math.max(0, settings.closedWindowsMaxCount)));
+        } catch (error) {
+            console.error(`Failed to bookmark the tree of a closed window:\n`, error);
+        }
+    });
+    const updateWindowTreeTracking = () => {
+        windowTreeTracker.isTracking = settings.bookmarkClosedWindows || settings.bookmarkClosedTrees;
+    };
+    updateWindowTreeTracking();
+
+    // #endregion Closed Windows
+
+
+    // #region Closed Trees
+
+    /**
+     * Get the parts of a tree that were closed. Only tabs that were closed together with some of their descendants are
+     * included. The provided tree isn't modified so it can still be used by the `WindowTreeTracker`.
+     *
+     * @param {TreeInfoNode} rootNode The tree from before the tabs were closed.
+     * @param {number[]} removedTabIds The ids of the closed tabs.
+     * @returns {TreeInfoNode[]} A new tree for each closed tab that had closed descendants. The trees only contain closed tabs.
+     */
+    function getClosedSubtrees(rootNode, removedTabIds) {
+        const isRemoved = (node) => removedTabIds.some(tabId => node.checkInstanceId(TreeInfoNode.instanceTypes.tab, tabId));
+
+        /**
+         * Copy the closed nodes in a subtree. Closed descendants of open tabs are moved to the closest closed ancestor.
+         *
+         * @param {TreeInfoNode} node The root of the subtree.
+         * @returns {TreeInfoNode[]} The copied nodes.
+         */
+        const copyClosedNodes = (node) => {
+            const children = [].concat(...node.children.map(copyClosedNodes));
+            if (!isRemoved(node)) return children;
+            return [new TreeInfoNode({ title: node.title, url: node.url, metadata: Object.assign({}, node.metadata), children })];
+        };
+
+        return copyClosedNodes(rootNode).filter(closedTree => closedTree.children.length > 0);
+    }
+
+    /** Only folders for closed trees are removed when there are too many of them. */
+    const closedTreeFolders = new CreatedBookmarkFolders({ storageKey: 'closedTreesCreatedFolderIds' });
+
+    /**
+     * Bookmark trees that were closed. Only the most recently closed trees are kept.
+     *
+     * @param {TreeInfoNode[]} closedTrees The closed tabs.
+     * @param {BrowserWindow} window The window that the tabs were in.
+     * @returns {Promise<{ treeFolder: BookmarkTreeNode, closedTree: TreeInfoNode }[]>} The bookmarked trees that weren't removed to keep the folder count down.
+     */
+    async function bookmarkClosedTrees(closedTrees, window) {
+        const { folderId } = await getFolderFromSetting('closedTreesFolderId', 'bookmark_DefaultClosedTreesFolderTitle');
+        const config = getSnapshotSessionSettings();
+        const bookmarked = [];
+        for (const closedTree of closedTrees) {
+            const [treeFolder] = await closedTree.saveAsBookmarks({
+                parentBookmarkId: folderId,
+                format: config.bookmarkFormat || TreeInfoNode.bookmarkFormat.separators,
+                folderSuffix: config.folderSuffix,
+                folderTitleTemplate: config.folderTitleTemplate,
+                folderTitleValues: { windowTitle: window.title || '' },
+                inFolder: true,
+            });
+            if (!treeFolder) continue;
+            await closedTreeFolders.add(treeFolder.id);
+            bookmarked.push({ treeFolder, closedTree });
+        }
+
+        // Only keep the most recently closed trees:
+        await closedTreeFolders.prune(folderId, (folders) => folders
+            .sort((a, b) => (b.dateAdded || 0) - (a.dateAdded || 0))
+            .slice(Math.max(0, settings.closedTreesMaxCount)));
+
+        const keptFolderIds = await closedTreeFolders.getFolderIds();
+        return bookmarked.filter(({ treeFolder }) => keptFolderIds.includes(treeFolder.id));
+    }
+
+    /**
+     * Let the user restore a closed tree by clicking a notification.
+     *
+     * @param {BookmarkTreeNode} treeFolder The folder that the closed tree was bookmarked in.
+     * @param {TreeInfoNode} closedTree The closed tabs.
+     * @param {BrowserWindow} window The window that the tabs were in.
+     */
+    async function offerToRestoreClosedTree(treeFolder, closedTree, window) {
+        const restore = await confirmWithNotification({
+            title: browser.i18n.getMessage('notifications_ClosedTree_Title'),
+            message: browser.i18n.getMessage('notifications_ClosedTree_Message', [treeFolder.title, String(closedTree.count)]),
+        });
+        if (!restore) return;
+
+        let windowId = null;
+        try {
+            windowId = (await browser.windows.get(window.id)).id;
+        } catch (error) {
+            // The window was closed so restore into the current window.
+        }
+        await restoreTree(Object.assign({ bookmarkId: treeFolder.id }, getRestoreTreeSettings(), { windowId, inNewWindow: false }));
+    }
+
+    windowTreeTracker.onTabsRemoved.addListener(async (windowId, { window, rootNode }, removedTabIds) => {
+        if (!settings.bookmarkClosedTrees) return;
+        let bookmarked;
+        try {
+            bookmarked = await bookmarkClosedTrees(getClosedSubtrees(rootNode, removedTabIds), window);
+        } catch (error) {
+            console.error(`Failed to bookmark closed tree:\n`, error);
+            return;
+        }
+        if (!settings.closedTreesNotification) return;
+        for (const { treeFolder, closedTree } of bookmarked) {
+            offerToRestoreClosedTree(treeFolder, closedTree, window)
+                .catch(error => console.error(`Failed to restore closed tree:\n`, error));
+        }
+    });
+
+    // #endregion Closed Trees
+
+
+    // #region Undo Tree Operations
+
+    browserStartup.then(async () => {
+        // Tabs from the previous session have new ids so they can't be closed anymore:
+        try {
+            await treeOperationJournal.forgetTabs();
+        } catch (error) {
+            // Already logged.
+        }
+    });
+
+    treeOperationJournal.onRecorded.addListener(async (operation) => {
+        if (!settings.undoTreeOperationNotification) return;
+        const titleMessages = {
+            bookmark: 'notifications_UndoTreeOperation_Bookmark_Title',
+            restore: 'notifications_UndoTreeOperation_Restore_Title',
+            migrate: 'notifications_UndoTreeOperation_Migrate_Title',
+        };
+        const undo = await confirmWithNotification({
+            title: browser.i18n.getMessage(titleMessages[operation.type]),
+            message: browser.i18n.getMessage('notifications_UndoTreeOperation_Message'),
+        });
+        if (undo) {
+            await undoLastTreeOperation(operation.id);
+        }
+    });
+
+    // #endregion Undo Tree Operations
+
+
     // #region Bookmark Selected Tabs
 
     /**
@@ -666,10 +2402,14 @@ settingsTracker.start.finally(async () => {
      *
      * If multiple tabs aren't selected it will bookmark the provided tab or the active tab in the provided window.
      *
-     *
+     * @param {Object} [Params] Parameters.
+     * @param {number | null} [Params.windowId] The window to bookmark tabs from.
+     * @param {BrowserTab | null} [Params.tab] A tab that the user interacted with.
+     * @param {Object<string, any> | null} [Params.overrides] Setting values that should be used instead of the current settings, for example from a bookmark tree variant.
+     * @param {boolean} [Params.stash] Close the tabs after they have been bookmarked.
      * @returns {Promise<BookmarkTreeNode[]>} Saved Bookmarks
      */
-    async function bookmarkSelectedTabs({ windowId = null, tab = null } = {}) {
+    async function bookmarkSelectedTabs({ windowId = null, tab = null, overrides = null, stash = false } = {}) {
         /** @type {BrowserTab[]} */
         let tabs;
         try {
@@ -683,15 +2423,26 @@ settingsTracker.start.finally(async () => {
             return [];
         }
 
-        // Bookmark Tabs:
         if (tabs.length === 0) {
             return [];
-        } else if (tabs.length === 1) {
+        }
+        let parentTabs, config;
+        if (tabs.length === 1) {
             // Bookmark tree with all of its children:
-            return await bookmarkTree(tabs[0], getBookmarkTreeSettings());
+            parentTabs = tabs[0];
+            config = getBookmarkTreeSettings(overrides);
         } else {
             // Bookmark only the selected tabs (not their children, but preserve parent-child relationships).
-            return await bookmarkTree(tabs, Object.assign({ maxTreeDepth: 0 }, getBookmarkTreeSettings()));
+            parentTabs = tabs;
+            config = Object.assign(getBookmarkTreeSettings(overrides), { maxTreeDepth: 0 });
+        }
+
+        // Bookmark Tabs:
+        if (stash) {
+            const folderBookmark = await stashTree(parentTabs, config);
+            return folderBookmark ? [folderBookmark] : [];
+        } else {
+            return await bookmarkTree(parentTabs, config);
         }
     }
 
@@ -717,7 +2468,32 @@ settingsTracker.start.finally(async () => {
                             tstNotifiedAboutPrivateWindow = true;
                             notifyPrivacyInfo();
                         }
-                        bookmarkSelectedTabs({ tab: aMessage.tab });
+                        const menuItemId = aMessage.info && aMessage.info.menuItemId;
+                        const variantIndex = getVariantIndexFromItemId(menuItemId, 'bookmark-tree-variant-');
+                        if (variantIndex >= 0) {
+                            const variant = settings.bookmarkTreeVariants[variantIndex];
+                            if (variant) {
+                                bookmarkSelectedTabs({ tab: aMessage.tab, overrides: variant.overrides });
+                            }
+                        } else if (menuItemId !== 'bookmark-tree-variants') {
+                            bookmarkSelectedTabs({ tab: aMessage.tab });
+                        }
+                        return Promise.resolve(true);
+                    } break;
+
+                    case 'tree-attached':
+                    case 'tree-detached':
+                    case 'tree-collapsed-state-changed': {
+                        savedTreeSyncer.queueUpdate();
+                        windowTreeTracker.queueUpdate(aMessage.tab ? aMessage.tab.windowId : null);
+                        return Promise.resolve(true);
+                    } break;
+
+                    case 'tab-removed': {
+                        // Closed windows are handled separately:
+                        if (aMessage.tab && !aMessage.isWindowClosing) {
+                            windowTreeTracker.recordRemovedTab(aMessage.windowId || aMessage.tab.windowId, aMessage.tab.id);
+                        }
                         return Promise.resolve(true);
                     } break;
                 }
@@ -732,7 +2508,14 @@ settingsTracker.start.finally(async () => {
                     } break;
 
                     case 'selected-tab-command': {
-                        bookmarkTree(aMessage.selection.selected, Object.assign({ maxTreeDepth: 0 }, getBookmarkTreeSettings()));
+                        let overrides = null;
+                        const variantIndex = getVariantIndexFromItemId(aMessage.id, 'mth-bookmark-tree-variant-');
+                        if (variantIndex >= 0) {
+                            const variant = settings.bookmarkTreeVariants[variantIndex];
+                            if (!variant) return Promise.resolve(true);
+                            overrides = variant.overrides;
+                        }
+                        bookmarkTree(aMessage.selection.selected, Object.assign(getBookmarkTreeSettings(overrides), { maxTreeDepth: 0 }));
                         return Promise.resolve(true);
                     } break;
                 }
@@ -763,11 +2546,65 @@ settingsTracker.start.finally(async () => {
                 migrateTreeData(Object.assign({ bookmarkId }, getMigrateTreeSettings()));
             } break;
 
+            case 'UpdateSavedTree': {
+                const { bookmarkId } = info;
+                // Tabs are only linked to saved trees once the user has allowed it:
+                requestSavedTreeLinkPermission().then(() => updateSavedTree(Object.assign({ bookmarkId }, getUpdateSavedTreeSettings())));
+            } break;
+
+            case 'SyncSavedTree': {
+                const { bookmarkId } = info;
+                if (info.checked) {
+                    requestSavedTreeLinkPermission().then(() => setSavedTreeSynced(bookmarkId, true));
+                } else {
+                    setSavedTreeSynced(bookmarkId, false);
+                }
+            } break;
+
             case 'BookmarkTree': {
                 bookmarkSelectedTabs({ tab: tab });
             } break;
+
+            case 'StashTree': {
+                // Stashed tabs are found by linking them to the created bookmark folder:
+                requestSavedTreeLinkPermission().then(() => bookmarkSelectedTabs({ tab: tab, stash: true }));
+            } break;
+
+            case 'SnapshotSession': {
+                snapshotSession(getSnapshotSessionSettings());
+            } break;
+
+            case 'UnstashTree': {
+                const { bookmarkId } = info;
+                unstashTree(Object.assign({ bookmarkId, }, getRestoreTreeSettings()));
+            } break;
+
+            default: {
+                const restoreVariant = settings.restoreTreeVariants[getVariantIndexFromItemId(info.menuItemId, 'RestoreTreeVariant-')];
+                if (restoreVariant) {
+                    const { bookmarkId } = info;
+                    restoreTree(Object.assign({ bookmarkId, }, getRestoreTreeSettings(restoreVariant.overrides)));
+                }
+                const bookmarkVariant = settings.bookmarkTreeVariants[getVariantIndexFromItemId(info.menuItemId, 'BookmarkTreeVariant-')];
+                if (bookmarkVariant) {
+                    bookmarkSelectedTabs({ tab: tab, overrides: bookmarkVariant.overrides });
+                }
+            } break;
         }
     });
+    if (browser.contextMenus.onShown) {
+        // Firefox 60 and later: show if the saved tree is synced.
+        browser.contextMenus.onShown.addListener(async (info) => {
+            if (!info.menuIds.includes('SyncSavedTree') || !info.bookmarkId) return;
+            let synced = false;
+            try {
+                const folderBookmark = await getSavedTreeFolder(info.bookmarkId);
+                synced = settings.syncedSavedTreeFolderIds.includes(folderBookmark.id);
+            } catch (error) { }
+            await browser.contextMenus.update('SyncSavedTree', { checked: synced });
+            await browser.contextMenus.refresh();
+        });
+    }
     updateContextMenu();
 
     // #endregion Context Menu
@@ -780,6 +2617,19 @@ settingsTracker.start.finally(async () => {
             case 'BookmarkTree': {
                 bookmarkSelectedTabs();
             } break;
+
+            case 'StashTree': {
+                // Stashed tabs are found by linking them to the created bookmark folder:
+                requestSavedTreeLinkPermission().then(() => bookmarkSelectedTabs({ stash: true }));
+            } break;
+
+            case 'SnapshotSession': {
+                snapshotSession(getSnapshotSessionSettings());
+            } break;
+
+            case 'UndoTreeOperation': {
+                undoLastTreeOperation();
+            } break;
         }
     });
 
@@ -797,6 +2647,16 @@ settingsTracker.start.finally(async () => {
             case messageTypes.privacyPermission: {
                 return getPrivacyInfo();
             }
+            case messageTypes.dialogData: {
+                return getDialogData(message.dialogId);
+            }
+            case messageTypes.dialogMessage: {
+                return handleDialogMessage(message.dialogId, message.message);
+            }
+            case messageTypes.dialogResult: {
+                resolveDialog(message.dialogId, message.result);
+                return true;
+            }
         }
     });
     tstPrivacyIssues.onPrivacyInfoChanged.addListener((info) => {
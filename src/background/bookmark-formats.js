@@ -0,0 +1,767 @@
+'use strict';
+
+import {
+    TreeInfoNode,
+} from '../background/tree-info-node.js';
+
+import {
+    bookmarkFormatDescriptions,
+} from '../common/bookmark-format-descriptions.js';
+
+
+/**
+ * @typedef {import('../background/tree-info-node.js').BookmarkTreeNode} BookmarkTreeNode
+ */
+/**
+ * @typedef {import('../background/tree-info-node.js').BookmarkFormat} BookmarkFormat
+ */
+null;
+
+
+/**
+ * Info provided to a format when a node with child nodes should be saved as bookmarks.
+ *
+ * @typedef {Object} BookmarkFormatSerializeParams
+ * @property {TreeInfoNode} Params.node The node that should be saved. Its children should be saved as well.
+ * @property {string | null} Params.parentBookmarkId The id of the bookmark folder that the node should be saved to.
+ * @property {number} Params.parentCount The number of parent nodes that the current node has.
+ * @property {function(Object): Promise<BookmarkTreeNode>} Params.createBookmark Create a bookmark with the provided details. The bookmark is created in the parent bookmark folder unless the details has a `parentId`.
+ * @property {function(string | null=): Promise<BookmarkTreeNode | null>} Params.createFolder Create a bookmark folder for the node in the specified folder (defaults to the parent bookmark folder). Returns `null` and doesn't create anything if the node has no content.
+ * @property {function(string | null=): Promise<BookmarkTreeNode[]>} Params.saveContent Save the node's own tab followed by its child nodes (one tree level deeper) in the specified folder (defaults to the parent bookmark folder).
+ */
+null;
+
+/**
+ * Info provided to a format when a bookmark folder should be parsed.
+ *
+ * @typedef {Object} BookmarkFormatParseParams
+ * @property {BookmarkTreeNode} Params.folderBookmark The bookmark folder that should be parsed. Its `children` property contains the bookmarks that should be parsed.
+ * @property {TreeInfoNode} Params.folderNode A node that represents the folder. Nodes for the parsed bookmarks should be added as descendants of this node.
+ * @property {function(BookmarkTreeNode): Promise<TreeInfoNode | null>} Params.parseBookmark Parse a bookmark inside the folder. Folders will be parsed with the same format.
+ * @property {boolean} [Params.foldersAsGroupTabs] `true` if nested folders should be restored as group tabs. Parsed folders will then have a group tab URL (unless they are empty) and should be kept instead of being ignored.
+ */
+null;
+
+/**
+ * Info provided to a format when checking if a bookmark folder stores tree data using that format.
+ *
+ * @typedef {Object} BookmarkFormatValidateParams
+ * @property {BookmarkTreeNode} Params.rootBookmark The bookmark folder that should be checked.
+ * @property {function(string, number=): void} Params.valid Report that something followed the format.
+ * @property {function(string, number=): void} Params.warn Report something that is unusual for the format.
+ * @property {function(string, number=): void} Params.error Report something that isn't allowed by the format.
+ */
+null;
+
+/**
+ * A format that determines how tree data is stored in bookmarks.
+ *
+ * @typedef {Object} BookmarkFormatInfo
+ * @property {string} Info.id The value used to identify the format in settings.
+ * @property {string} Info.titleMessage The i18n message name for the format's name.
+ * @property {string} Info.infoMessage The i18n message name for a description of the format. The message should start with ": " since it will be shown after the name.
+ * @property {boolean} [Info.usesFolders] `true` if the format creates a folder for each node it serializes. Otherwise a folder is created before the format is used if all bookmarks should be placed in a new folder.
+ * @property {function({ node: TreeInfoNode, parentCount: number }): string} [Info.getBookmarkTitle] Determines the title of the bookmark for a single tab. Defaults to the node's title.
+ * @property {function(BookmarkFormatSerializeParams): Promise<BookmarkTreeNode[]>} Info.serialize Save a node with child nodes as bookmarks. Should return the bookmarks that were created directly in the parent folder.
+ * @property {function(BookmarkFormatParseParams): Promise<void>} Info.parse Parse the content of a bookmark folder.
+ * @property {function(BookmarkFormatValidateParams): void} [Info.validate] Check how well a bookmark folder follows the format. Used to auto detect the format.
+ * @property {Object<string, number>} [Info.guessMultipliers] Multipliers for specific validation messages when auto detecting the format. Messages with a multiplier of `0` are ignored.
+ */
+null;
+
+
+// #region Registry
+
+/** @type {Map<string, BookmarkFormatInfo>} Key: format id. Value: format. */
+const registeredFormats = new Map();
+
+/**
+ * Register a format that can be used to store tree data in bookmarks. Replaces any format with the same id.
+ *
+ * @export
+ * @param {BookmarkFormatInfo} format The format to register.
+ */
+export function registerBookmarkFormat(format) {
+    if (!format || !format.id || typeof format.id !== 'string') {
+        throw new Error(`Bookmark formats must have an id.`);
+    }
+    if (typeof format.serialize !== 'function' || typeof format.parse !== 'function') {
+        throw new Error(`Bookmark format "${format.id}" must have serialize and parse functions.`);
+    }
+    registeredFormats.set(format.id, format);
+}
+
+/**
+ * Get a registered bookmark format.
+ *
+ * @export
+ * @param {BookmarkFormat | string} id The id of the format.
+ * @returns {BookmarkFormatInfo} The format with the specified id.
+ * @throws {Error} If there is no format with the specified id.
+ */
+export function getBookmarkFormat(id) {
+    const format = registeredFormats.get(id);
+    if (!format) {
+        throw new Error(`Unsupported bookmark tree structure format: ${id}`);
+    }
+    return format;
+}
+
+/**
+ * Get all registered bookmark formats in the order they were registered.
+ *
+ * @export
+ * @returns {BookmarkFormatInfo[]} The registered formats.
+ */
+export function getBookmarkFormats() {
+    return Array.from(registeredFormats.values());
+}
+
+// #endregion Registry
+
+
+// #region Helpers
+
+/**
+ * Add a parsed bookmark to a parent node. Folders are flattened so that only nodes that represent tabs are added.
+ *
+ * @param {TreeInfoNode} parentNode The node that should get the parsed node as a child.
+ * @param {TreeInfoNode | null} parsedNode A node that was parsed from a bookmark.
+ * @returns {boolean} `true` if the parsed node represents a tab and was added as a child.
+ */
+function addParsedNode(parentNode, parsedNode) {
+    if (!parsedNode) {
+        return false;
+    }
+    if (!parsedNode.url) {
+        // Parsed node was a folder so just add the bookmarks that represent actual tabs as children to the current parent node.
+        parentNode.addChildren(parsedNode.children);
+        return false;
+    }
+    parentNode.addChildren(parsedNode);
+    return true;
+}
+
+/**
+ * Parse the wanted tree level from a bookmark title that was saved with the titles format.
+ *
+ * @param {string} title A bookmark title.
+ * @returns {number} The tree level. `0` for top level tabs.
+ */
+function getTreeLevelFromTitle(title) {
+    let treeLevel = 0;
+    for (let iii = 0; iii < title.length; iii++) {
+        const c = title[iii];
+        if (c === '>') continue;
+        if (c === ' ') treeLevel = iii;
+        break;
+    }
+    return treeLevel;
+}
+
+/**
+ * Get a bookmark title that stores a node's tree level in a prefix. This is how the titles format stores tree data.
+ *
+ * @param {Object} Params Parameters.
+ * @param {TreeInfoNode} Params.node The node that a bookmark should be created for.
+ * @param {number} Params.parentCount The number of parent nodes that the node has.
+ * @returns {string} The bookmark title.
+ */
+function getTitleWithTreeLevel({ node, parentCount }) {
+    let title = node.title;
+    if (parentCount > 0) {
+        return '>'.repeat(parentCount) + ' ' + title;
+    }
+    // Check so that the title doesn't already start with something that will be interpreted as tree data.
+    while (true) {
+        const removeTo = getTreeLevelFromTitle(title);
+        if (removeTo > 0)
+            // Remove tree data prefix and recheck the new title:
+            title = title.slice(removeTo + 1);
+        else
+            // Title doesn't start with valid tree data so its okay to use:
+            break;
+    }
+    return title;
+}
+
+// #endregion Helpers
+
+
+// #region Tree Metadata Bookmarks
+
+/**
+ * Data stored in the URL of a metadata bookmark.
+ *
+ * @typedef {Object} TreeMetadata
+ * @property {import('../background/tree-info-node.js').TreeInfoNodeJSON} TreeMetadata.bookmarkTree The serialized tree that was saved.
+ * @property {number} TreeMetadata.savedDate The time when the tree was saved in milliseconds since the epoch.
+ */
+null;
+
+/** All metadata bookmarks have URLs that start with this prefix. The rest of the URL is URI encoded JSON. */
+const metadataURLPrefix = 'data:application/json;charset=utf-8,';
+
+/** Firefox doesn't allow bookmarks with longer URLs than this. */
+const maxBookmarkURLLength = 65536;
+
+/**
+ * Parse the data stored in a metadata bookmark.
+ *
+ * The data bookmark is placed inside a folder so that it isn't opened when the user opens all bookmarks in the saved
+ * tree's folder. Older versions created the data bookmark directly in the saved tree's folder.
+ *
+ * @param {BookmarkTreeNode} bookmark A bookmark that might be a metadata bookmark or a folder that contains one.
+ * @returns {TreeMetadata | null} The stored data or `null` if the bookmark isn't a metadata bookmark.
+ */
+function getTreeMetadata(bookmark) {
+    if (bookmark && bookmark.type === 'folder' && bookmark.children && bookmark.children.length === 1) {
+        return getTreeMetadata(bookmark.children[0]);
+    }
+    if (!bookmark || bookmark.type !== 'bookmark' || !bookmark.url || !bookmark.url.startsWith(metadataURLPrefix)) {
+        return null;
+    }
+    try {
+        const data = JSON.parse(decodeURIComponent(bookmark.url.slice(metadataURLPrefix.length)));
+        if (data && typeof data === 'object' && data.bookmarkTree) {
+            return data;
+        }
+    } catch (error) {
+        console.warn('Failed to parse data from a tree metadata bookmark:\n', error);
+    }
+    return null;
+}
+
+/**
+ * Check if a bookmark stores tree metadata. Such bookmarks don't represent any tab.
+ *
+ * @export
+ * @param {BookmarkTreeNode} bookmark A bookmark to check. Folders need to include their `children`.
+ * @returns {boolean} `true` if the bookmark is a metadata bookmark or a folder that only contains one.
+ */
+export function isTreeMetadataBookmark(bookmark) {
+    return Boolean(getTreeMetadata(bookmark));
+}
+
+/**
+ * Get the visible bookmarks that should be created for a tree when it is saved with the metadata format.
+ *
+ * @param {TreeInfoNode} node The root of the tree.
+ * @param {number} [parentCount=0] The number of parent nodes that the root node has.
+ * @param {{ node: TreeInfoNode, title: string, url: string }[]} [result] Found bookmarks will be added to this array.
+ * @returns {{ node: TreeInfoNode, title: string, url: string }[]} Info about the bookmarks in the order they should be created.
+ */
+function getTreeBookmarkInfos(node, parentCount = 0, result = []) {
+    if (node.url) {
+        result.push({ node, title: getTitleWithTreeLevel({ node, parentCount }), url: node.url });
+        parentCount++;
+    }
+    for (const child of node.children) {
+        getTreeBookmarkInfos(child, parentCount, result);
+    }
+    return result;
+}
+
+// #endregion Tree Metadata Bookmarks
+
+
+// #region Built-in Formats
+
+// The registration order is used to break ties when guessing formats.
+
+registerBookmarkFormat(Object.assign({}, bookmarkFormatDescriptions.folders, {
+    usesFolders: true,
+    guessMultipliers: {
+        // This message works best when each relationship requires something that indicates that the format is present.
+        parentChildRelationship: 0,
+    },
+
+    serialize: async ({ node, createBookmark, createFolder, saveContent }) => {
+        const folderBookmark = await createFolder();
+        if (!folderBookmark) {
+            return [];
+        }
+
+        if (node.url) {
+            // This is a parent tab => Create separator for compatibility with separator format:
+            await createBookmark({
+                type: 'separator',
+                parentId: folderBookmark.id,
+            });
+        } else {
+            // This isn't a parent tab => Create an empty folder at the start of the current folder to indicate that all tabs are at the same level:
+            await createBookmark({
+                type: 'folder',
+                parentId: folderBookmark.id,
+            });
+        }
+
+        await saveContent(folderBookmark.id);
+
+        return [folderBookmark];
+    },
+
+    parse: async ({ folderBookmark, folderNode, parseBookmark }) => {
+        let parentFound = false;
+        /** The bookmark node that represents the parent tab for the next parsed bookmark. */
+        let parentNode = folderNode;
+
+        for (const bookmark of folderBookmark.children) {
+            // The first bookmark in a folder represents a parent tab unless there was a folder before the first bookmark.
+            const isParent = !parentFound && bookmark.type === 'bookmark';
+
+            if (bookmark.type === 'folder' || bookmark.type === 'bookmark') {
+                parentFound = true;
+            }
+
+            const parsedNode = await parseBookmark(bookmark);
+            if (addParsedNode(parentNode, parsedNode) && isParent) {
+                parentNode = parsedNode;
+            }
+        }
+    },
+
+    validate: ({ rootBookmark, valid, warn }) => {
+        /** @param {BookmarkTreeNode} folderBookmark A folder to scan. */
+        const processFolder = (folderBookmark) => {
+            /** First item might be a separator for compatibility with separator format. */
+            let first = true;
+            /** First bookmark is usually the parent tab. */
+            let firstBookmark = true;
+            /** If there is a folder before the first bookmark then all tabs should be on the same level. */
+            let startWithFolder = false;
+            /** The folder started with a separator item for compatibility with separator format. This is incorrect if the folder starts with a folder. */
+            let separatorCompatibility = false;
+            /** Indicates if there was any child tabs connected to the first bookmark. */
+            let hasChild = false;
+            for (const bookmark of folderBookmark.children) {
+                switch (bookmark.type) {
+                    case 'separator': {
+                        if (first) {
+                            separatorCompatibility = true;
+                        } else {
+                            warn('separator');
+                        }
+                    } break;
+
+                    case 'bookmark': {
+                        if (!startWithFolder) {
+                            // This folder's first bookmark is a parent tab!
+                            if (firstBookmark) {
+                                // This is the parent tab!
+                                if (separatorCompatibility) {
+                                    valid('separatorCompatibility');
+                                }
+                            } else {
+                                // This is a child tab!
+                                valid('parentChildRelationship');
+                                if (!hasChild) {
+                                    valid('increasedTreeLevel');
+                                    hasChild = true;
+                                }
+                            }
+                        }
+                        firstBookmark = false;
+                    } break;
+
+                    case 'folder': {
+                        if (!startWithFolder) {
+                            if (firstBookmark) {
+                                startWithFolder = true;
+                                if (separatorCompatibility) {
+                                    warn('separator');
+                                }
+                            } else {
+                                // The top bookmark in this folder should be a child tab of the current folder's parent tab.
+                                valid('parentChildRelationship');
+                                if (!hasChild) {
+                                    valid('increasedTreeLevel');
+                                    hasChild = true;
+                                }
+                            }
+                        }
+                        processFolder(bookmark);
+                    } break;
+                }
+                first = false;
+            }
+            if (firstBookmark) {
+                warn('emptyFolder');
+            } else if (!startWithFolder && !hasChild) {
+                // There was only 1 bookmark (the parent) but we expected at least 2.
+                warn('emptyTreeLevel');
+            }
+        };
+        processFolder(rootBookmark);
+    },
+}));
+
+registerBookmarkFormat(Object.assign({}, bookmarkFormatDescriptions.separators, {
+    guessMultipliers: {
+        // This message works best when each relationship requires something that indicates that the format is present.
+        parentChildRelationship: 0,
+    },
+
+    serialize: async ({ node, createBookmark, saveContent }) => {
+        const bookmarks = [];
+        if (node.url) {
+            bookmarks.push(await createBookmark({ type: 'separator' }));
+        }
+
+        bookmarks.push(...await saveContent());
+
+        if (node.url) {
+            for (let iii = 0; iii < 2; iii++) {
+                bookmarks.push(await createBookmark({ type: 'separator' }));
+            }
+        }
+        return bookmarks;
+    },
+
+    parse: async ({ folderBookmark, folderNode, parseBookmark }) => {
+        /** Indicates that the next bookmark that is parsed should be treated as a parent tab. */
+        let isParent = false;
+        let separators = [];
+        let startSeparator = null;
+
+        /** @type {TreeInfoNode[]} Stored bookmark nodes that represent parent tabs for the `parentNode`. The length of this array is equal to the number of ancestors a bookmark's tab would have (plus one extra for the root level group/container). */
+        const parentNodes = [];
+        /** The bookmark node that represents the parent tab for the next parsed bookmark. */
+        let parentNode = folderNode;
+
+        for (const bookmark of folderBookmark.children) {
+            if (bookmark.type === 'separator') {
+                separators.push(bookmark);
+                continue;
+            }
+            if (separators.length > 0) {
+                while (separators.length >= 2 && parentNodes.length > 0) {
+                    const endSeparators = [separators.shift(), separators.shift()];
+                    if (parentNode) {
+                        for (const separator of endSeparators) {
+                            parentNode.addInstance(TreeInfoNode.instanceTypes.bookmark, separator.id, separator);
+                        }
+                    }
+                    parentNode = parentNodes.pop();
+                }
+                if (separators.length % 2 === 1 && (parentNodes.length === 0 || parentNodes[parentNodes.length - 1] !== parentNode)) {
+                    parentNodes.push(parentNode);
+                    isParent = true;
+                    startSeparator = separators[0];
+                }
+                separators = [];
+            }
+
+            const parsedNode = await parseBookmark(bookmark);
+            if (addParsedNode(parentNode, parsedNode) && isParent) {
+                parentNode = parsedNode;
+                isParent = false;
+                if (startSeparator) {
+                    parentNode.addInstance(TreeInfoNode.instanceTypes.bookmark, startSeparator.id, startSeparator);
+                    startSeparator = null;
+                }
+            }
+        }
+    },
+
+    validate: ({ rootBookmark, valid, warn, error }) => {
+        /** @param {BookmarkTreeNode} folderBookmark A folder to scan. */
+        const processFolder = (folderBookmark) => {
+            let currentTreeLevel = 0;
+            let nextIsParent = false;
+            let hasChild = true;
+            let hasChildStack = [];
+
+            let separatorsInRowCount = 0;
+            const handleSeparators = () => {
+                if (separatorsInRowCount % 2 === 1) {
+                    nextIsParent = true;
+                }
+
+                const endedTreeLevels = Math.floor(separatorsInRowCount / 2);
+                if (endedTreeLevels > 0) {
+                    if (!hasChild) {
+                        warn('emptyTreeLevel');
+                    }
+                    for (let iii = nextIsParent ? /* Skip the latest tree level since we never pushed a value for it */ 1 : 0; iii < endedTreeLevels; iii++) {
+                        hasChild = hasChildStack.pop() || false;
+                    }
+                }
+
+                currentTreeLevel -= endedTreeLevels;
+                if (currentTreeLevel < 0) {
+                    error('corruptTreeLevels', Math.abs(currentTreeLevel));
+                    currentTreeLevel = 0;
+                }
+                if (currentTreeLevel === 0) {
+                    // These are root tabs and don't count as reaching new tree levels.
+                    hasChild = true;
+                }
+
+                separatorsInRowCount = 0;
+            };
+
+            for (const bookmark of folderBookmark.children) {
+                if (bookmark.type !== 'separator') {
+                    handleSeparators();
+                }
+                switch (bookmark.type) {
+                    case 'separator': {
+                        separatorsInRowCount++;
+                    } break;
+
+                    case 'bookmark': {
+                        if (currentTreeLevel > 0) {
+                            valid('parentChildRelationship');
+                        }
+                        if (nextIsParent) {
+                            nextIsParent = false;
+                            currentTreeLevel++;
+                            valid('parentDefinition');
+
+                            // Track wether this parent ever gets any children:
+                            hasChildStack.push(hasChild);
+                            hasChild = false;
+                        } else if (!hasChild) {
+                            valid('increasedTreeLevel');
+                            hasChild = true;
+                        }
+                    } break;
+
+                    case 'folder': {
+                        if (currentTreeLevel > 0) {
+                            valid('parentChildRelationship');
+                        }
+                        if (nextIsParent) {
+                            error('invalidParentDefinition');
+                        } else if (!hasChild) {
+                            valid('increasedTreeLevel');
+                            hasChild = true;
+                        }
+                        processFolder(bookmark);
+                    } break;
+                }
+            }
+
+            handleSeparators();
+            if (currentTreeLevel > 0) {
+                warn('unendedTreeLevels', currentTreeLevel);
+            }
+            if (nextIsParent) {
+                error('invalidParentDefinition');
+            }
+        };
+        processFolder(rootBookmark);
+    },
+}));
+
+registerBookmarkFormat(Object.assign({}, bookmarkFormatDescriptions.titles, {
+    getBookmarkTitle: getTitleWithTreeLevel,
+
+    serialize: async ({ saveContent }) => {
+        return saveContent();
+    },
+
+    parse: async ({ folderBookmark, folderNode, parseBookmark, foldersAsGroupTabs = false }) => {
+        /** @type {TreeInfoNode[]} Stored bookmark nodes that represent parent tabs for the `parentNode`. The length of this array is equal to the number of ancestors a bookmark's tab would have (plus one extra for the root level group/container). */
+        const parentNodes = [];
+        /** The bookmark node that represents the parent tab for the next parsed bookmark. */
+        let parentNode = folderNode;
+
+        for (const bookmark of folderBookmark.children) {
+            if (bookmark.type === 'folder') {
+                if (!foldersAsGroupTabs) {
+                    // Ignore folders since Tree Style Tab doesn't restore nested folders.
+                    // Behavior in TST v3.2.1 is actually to open a new tab with tree level 0 where nested folders are found.
+                    continue;
+                }
+                // Folders will be restored as group tabs at tree level 0 (the same place that Tree Style Tab would open a tab for them).
+            } else if (bookmark.type !== 'bookmark') {
+                // Must be a bookmark so that it has a title.
+                continue;
+            }
+            const treeLevel = bookmark.type === 'folder' ? 0 : getTreeLevelFromTitle(bookmark.title);
+            // Decrement Current Tree Level:
+            while (parentNodes.length - 1 > treeLevel) {
+                parentNode = parentNodes.pop();
+            }
+            // Increment Current Tree Level:
+            while (parentNodes.length - 1 < treeLevel) {
+                parentNodes.push(parentNode);
+            }
+            // Use the last saved parent as the parent for the parsed node:
+            parentNode = parentNodes[parentNodes.length - 1];
+
+            const parsedNode = await parseBookmark(bookmark);
+            if (addParsedNode(parentNode, parsedNode)) {
+                if (parentNodes.length > 1) {
+                    // Remove title prefix that is used to store tree data.
+                    parsedNode.title = parsedNode.title.slice(parentNodes.length);
+                }
+                // Always store the parsed node in the `parentNode` variable since we don't know ahead of time if the bookmark will be a parent (that depends on the next bookmark):
+                parentNode = parsedNode;
+            }
+        }
+    },
+
+    validate: ({ rootBookmark, valid, warn, error }) => {
+        // Start on negative number so that the first bookmark is ensured to have tree level 0.
+        let currentTreeLevel = -1;
+        for (const bookmark of rootBookmark.children) {
+            if (bookmark.type !== 'bookmark') {
+                if (bookmark.type === 'separator') {
+                    warn('separator');
+                } else {
+                    error('folder');
+                }
+                continue;
+            }
+
+            const treeLevel = getTreeLevelFromTitle(bookmark.title);
+
+            if (treeLevel > currentTreeLevel + 1) {
+                // Can't increase tree level more than one step at a time.
+                error('corruptTreeLevels');
+            } else if (currentTreeLevel >= 0 && treeLevel > currentTreeLevel) {
+                valid('increasedTreeLevel');
+            }
+            if (treeLevel > 0) {
+                valid('parentChildRelationship');
+            }
+            currentTreeLevel = treeLevel;
+        }
+    },
+}));
+
+registerBookmarkFormat(Object.assign({}, bookmarkFormatDescriptions.metadata, {
+    guessMultipliers: {
+        // A metadata bookmark is a very strong indication that this format was used.
+        metadataBookmark: 100,
+    },
+
+    getBookmarkTitle: getTitleWithTreeLevel,
+
+    serialize: async ({ node, parentCount, createBookmark }) => {
+        // The whole tree is handled here so that only a single metadata bookmark is created.
+        const infos = getTreeBookmarkInfos(node, parentCount);
+        if (infos.length === 0) {
+            return [];
+        }
+
+        /** @type {TreeMetadata} */
+        const metadata = {
+            bookmarkTree: node.toJSON(),
+            savedDate: Date.now(),
+        };
+        let metadataURL = metadataURLPrefix + encodeURIComponent(JSON.stringify(metadata));
+        if (metadataURL.length > maxBookmarkURLLength) {
+            // The visible bookmarks use the titles format so the tree can still be restored from them:
+            console.warn(`The tree is too large to be stored in a metadata bookmark (${metadataURL.length} characters) so only the tree data in the bookmarks' titles is saved.`);
+            metadataURL = null;
+        }
+
+        const bookmarks = [];
+        for (const { title, url } of infos) {
+            bookmarks.push(await createBookmark({ title, url }));
+        }
+
+        if (metadataURL) {
+            const title = browser.i18n.getMessage('bookmark_TreeMetadataTitle');
+            const metadataFolder = await createBookmark({ type: 'folder', title });
+            await createBookmark({ title, url: metadataURL, parentId: metadataFolder.id });
+            bookmarks.push(metadataFolder);
+        }
+        return bookmarks;
+    },
+
+    parse: async ({ folderBookmark, folderNode, parseBookmark, foldersAsGroupTabs }) => {
+        /** @type {TreeMetadata | null} */
+        let metadata = null;
+        /** @type {BookmarkTreeNode | null} */
+        let metadataBookmark = null;
+        const visibleBookmarks = [];
+        for (const bookmark of folderBookmark.children) {
+            const data = getTreeMetadata(bookmark);
+            if (data) {
+                // Use the last metadata bookmark if there are several:
+                metadata = data;
+                metadataBookmark = bookmark;
+            } else {
+                visibleBookmarks.push(bookmark);
+            }
+        }
+
+        /** @type {TreeInfoNode | null} */
+        let storedTree = null;
+        if (metadata) {
+            try {
+                storedTree = TreeInfoNode.fromJSON(metadata.bookmarkTree);
+            } catch (error) {
+                console.warn('Failed to parse tree from metadata bookmark:\n', error);
+            }
+        }
+
+        if (storedTree) {
+            // Only trust the stored tree if the visible bookmarks haven't been edited:
+            const infos = getTreeBookmarkInfos(storedTree);
+            const tabBookmarks = visibleBookmarks.filter(bookmark => bookmark.type !== 'separator');
+            const matches = (
+                infos.length === tabBookmarks.length &&
+                infos.every(({ title, url }, index) => tabBookmarks[index].type === 'bookmark' && tabBookmarks[index].title === title && tabBookmarks[index].url === url)
+            );
+            if (matches) {
+                infos.forEach(({ node }, index) => {
+                    node.addInstance(TreeInfoNode.instanceTypes.bookmark, tabBookmarks[index].id, tabBookmarks[index]);
+                });
+                folderNode.addInstance(TreeInfoNode.instanceTypes.bookmark, metadataBookmark.id, metadataBookmark);
+                folderNode.metadata.savedDate = metadata.savedDate;
+
+                if (storedTree.url) {
+                    folderNode.addChildren(storedTree);
+                } else {
+                    Object.assign(folderNode.metadata, storedTree.metadata);
+                    folderNode.addChildren(storedTree.children);
+                }
+                return;
+            }
+            console.log('Bookmarks have been edited since the tree was saved so the tree metadata is ignored for the folder: ', folderBookmark.title);
+        }
+
+        // Fall back to the tree data that is stored in the visible bookmarks' titles:
+        await getBookmarkFormat('bookmarkTitles').parse({
+            folderBookmark: Object.assign({}, folderBookmark, { children: visibleBookmarks }),
+            folderNode,
+            parseBookmark,
+            foldersAsGroupTabs,
+        });
+    },
+
+    validate: ({ rootBookmark, valid, warn, error }) => {
+        const visibleBookmarks = [];
+        let hasMetadata = false;
+        for (const bookmark of rootBookmark.children) {
+            if (isTreeMetadataBookmark(bookmark)) {
+                if (hasMetadata) {
+                    warn('multipleMetadataBookmarks');
+                }
+                hasMetadata = true;
+            } else {
+                visibleBookmarks.push(bookmark);
+            }
+        }
+        if (hasMetadata) {
+            valid('metadataBookmark');
+        } else {
+            error('missingMetadataBookmark');
+        }
+        // The visible bookmarks use the same structure as the titles format:
+        getBookmarkFormat('bookmarkTitles').validate({
+            rootBookmark: Object.assign({}, rootBookmark, { children: visibleBookmarks }),
+            valid,
+            warn,
+            error,
+        });
+    },
+}));
+
+// #endregion Built-in Formats
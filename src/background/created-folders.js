@@ -0,0 +1,97 @@
+'use strict';
+
+
+/**
+ * @typedef {import('../background/tree-info-node.js').BookmarkTreeNode} BookmarkTreeNode
+ */
+
+
+/**
+ * Remembers the bookmark folders that this extension created automatically, for example for session snapshots or
+ * closed windows, so that old ones can be removed without touching any folders that the user put in the same place.
+ * The ids are kept in local storage so that they are remembered after the browser is restarted.
+ *
+ * @class CreatedBookmarkFolders
+ */
+export class CreatedBookmarkFolders {
+
+    /**
+     * Creates an instance of CreatedBookmarkFolders.
+     *
+     * @param {Object} Params Parameters.
+     * @param {string} Params.storageKey The key in local storage that the ids of the created folders are kept in.
+     * @memberof CreatedBookmarkFolders
+     */
+    constructor({ storageKey }) {
+        this._storageKey = storageKey;
+
+        /** @type {Promise<any>} Ensures that changes to the stored ids don't overlap. */
+        this._lastChange = Promise.resolve();
+    }
+
+    /**
+     * Apply a change to the stored folder ids.
+     *
+     * @param {function(string[]): (string[] | Promise<string[]>)} modify Gets the stored ids and returns the new ones.
+     * @returns {Promise<void>} Resolves when the change has been stored.
+     * @memberof CreatedBookmarkFolders
+     */
+    _change(modify) {
+        const change = this._lastChange.then(async () => {
+            const folderIds = await this.getFolderIds();
+            await browser.storage.local.set({ [this._storageKey]: await modify(folderIds) });
+        });
+        this._lastChange = change.catch(error => console.error(`Failed to update the created bookmark folders in "${this._storageKey}":\n`, error));
+        return change;
+    }
+
+    /**
+     * Get the ids of the remembered folders.
+     *
+     * @returns {Promise<string[]>} Bookmark folder ids.
+     * @memberof CreatedBookmarkFolders
+     */
+    async getFolderIds() {
+        const folderIds = (await browser.storage.local.get({ [this._storageKey]: [] }))[this._storageKey];
+        return Array.isArray(folderIds) ? folderIds : [];
+    }
+
+    /**
+     * Remember a folder that was created.
+     *
+     * @param {string} folderId The id of the created bookmark folder.
+     * @returns {Promise<void>} Resolves when the folder has been remembered.
+     * @memberof CreatedBookmarkFolders
+     */
+    add(folderId) {
+        return this._change(folderIds => folderIds.includes(folderId) ? folderIds : [...folderIds, folderId]);
+    }
+
+    /**
+     * Remove old created folders from a parent folder. Folders that weren't created by this extension are never
+     * removed. Folders that have been removed or moved somewhere else are forgotten.
+     *
+     * @param {string} parentId The id of the bookmark folder that the created folders were placed in.
+     * @param {function(BookmarkTreeNode[]): BookmarkTreeNode[]} getFoldersToRemove Gets the created folders that are still in the parent folder and returns the ones that should be removed.
+     * @returns {Promise<void>} Resolves when the folders have been removed.
+     * @memberof CreatedBookmarkFolders
+     */
+    prune(parentId, getFoldersToRemove) {
+        return this._change(async (folderIds) => {
+            /** @type {BookmarkTreeNode[]} */
+            const createdFolders = (await browser.bookmarks.getChildren(parentId)).filter(bookmark => bookmark.type === 'folder' && folderIds.includes(bookmark.id));
+            const toRemove = getFoldersToRemove(createdFolders);
+            const removedIds = [];
+            for (const folder of toRemove) {
+                if (!createdFolders.includes(folder)) continue;
+                try {
+                    await browser.bookmarks.removeTree(folder.id);
+                    removedIds.push(folder.id);
+                } catch (error) {
+                    console.error(`Failed to remove the old bookmark folder with id "${folder.id}":\n`, error);
+                }
+            }
+            return createdFolders.map(folder => folder.id).filter(id => !removedIds.includes(id));
+        });
+    }
+}
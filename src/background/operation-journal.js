@@ -0,0 +1,414 @@
+'use strict';
+
+import {
+    EventManager,
+} from '../common/events.js';
+
+import {
+    getURLFromReaderModeURL,
+} from '../background/tree-info-node.js';
+
+
+/**
+ * @typedef {import('../background/tree-info-node.js').TreeInfoNode} TreeInfoNode
+ */
+/**
+ * @typedef {import('../background/tree-info-node.js').BookmarkTreeNode} BookmarkTreeNode
+ */
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+
+
+/**
+ * The kind of operation that created bookmarks or tabs.
+ * - `bookmark`: tabs were bookmarked.
+ * - `restore`: tabs were opened from bookmarks.
+ * - `migrate`: bookmarks were copied into a new folder with another tree data format.
+ *
+ * @typedef {'bookmark' | 'restore' | 'migrate'} TreeOperationType
+ */
+null;
+
+/**
+ * A bookmark that was created by an operation. Bookmarks inside created folders are part of the signature.
+ *
+ * @typedef {Object} JournalBookmark
+ * @property {string} Info.id The id of the bookmark.
+ * @property {string} Info.signature Describes the bookmark and its content right after it was created.
+ */
+null;
+
+/**
+ * A tab that was opened by an operation.
+ *
+ * @typedef {Object} JournalTab
+ * @property {number} Info.id The id of the tab.
+ * @property {string} Info.url The URL that the tab was opened with.
+ * @property {string} [Info.loadedURL] The URL of the first page that the tab finished loading. Can differ from `url` if the page redirected somewhere else.
+ */
+null;
+
+/**
+ * Everything that was created by an operation so that it can be undone.
+ *
+ * @typedef {Object} TreeOperation
+ * @property {number} Info.id A unique id for the operation.
+ * @property {TreeOperationType} Info.type The kind of operation.
+ * @property {number} Info.time The time when the operation was completed in milliseconds since the epoch.
+ * @property {JournalBookmark[]} Info.bookmarks The top most bookmarks that were created.
+ * @property {JournalTab[]} Info.tabs The tabs that were opened.
+ */
+null;
+
+
+// #region Changes
+
+/**
+ * Get a string that describes a bookmark and all of its content. The signature changes if the bookmark or anything
+ * inside it is modified, moved, added or removed.
+ *
+ * @param {string} bookmarkId The id of a bookmark.
+ * @returns {Promise<string | null>} The bookmark's signature or `null` if the bookmark doesn't exist.
+ */
+async function getBookmarkSignature(bookmarkId) {
+    let bookmark;
+    try {
+        [bookmark] = await browser.bookmarks.getSubTree(bookmarkId);
+    } catch (error) {
+        return null;
+    }
+    if (!bookmark) return null;
+
+    const describe = (node) => [
+        node.id,
+        node.type,
+        node.title,
+        node.url,
+        (node.children || []).map(describe),
+    ];
+    return JSON.stringify([bookmark.parentId, describe(bookmark)]);
+}
+
+/**
+ * Check if a tab was closed or navigated to another page.
+ *
+ * @param {JournalTab} journalTab The tab when it was opened.
+ * @returns {Promise<boolean>} `true` if the tab isn't the same as when it was opened.
+ */
+async function isTabChanged(journalTab) {
+    let tab;
+    try {
+        tab = await browser.tabs.get(journalTab.id);
+    } catch (error) {
+        return true;
+    }
+    // Tabs that are still loading might not have their final URL yet:
+    if (tab.url === 'about:blank' && tab.status === 'loading') return false;
+    if (journalTab.loadedURL) {
+        // Redirects that happened while the tab loaded aren't changes:
+        return getURLFromReaderModeURL(tab.url) !== journalTab.loadedURL;
+    }
+    // The page might be redirecting while it loads for the first time:
+    if (tab.status === 'loading') return false;
+    return getURLFromReaderModeURL(tab.url) !== journalTab.url;
+}
+
+/**
+ * Get the URL that a tab has loaded.
+ *
+ * @param {BrowserTab} tab A tab.
+ * @returns {string | null} The URL or `null` if the tab hasn't finished loading a page yet.
+ */
+function getLoadedURL(tab) {
+    // Tabs that navigate after a delay are first opened as "about:blank":
+    if (tab.status !== 'complete' || tab.discarded || !tab.url || tab.url === 'about:blank') return null;
+    return getURLFromReaderModeURL(tab.url);
+}
+
+/**
+ * Find the bookmarks and tabs that were changed after an operation created them.
+ *
+ * @export
+ * @param {TreeOperation} operation The operation to check.
+ * @returns {Promise<{ bookmarks: JournalBookmark[], tabs: JournalTab[] }>} The changed items.
+ */
+export async function getChangedItems(operation) {
+    const bookmarks = [];
+    for (const bookmark of operation.bookmarks) {
+        if (await getBookmarkSignature(bookmark.id) !== bookmark.signature) {
+            bookmarks.push(bookmark);
+        }
+    }
+    const tabs = [];
+    for (const tab of operation.tabs) {
+        if (await isTabChanged(tab)) {
+            tabs.push(tab);
+        }
+    }
+    return { bookmarks, tabs };
+}
+
+// #endregion Changes
+
+
+// #region Operations
+
+let lastOperationId = 0;
+
+/**
+ * Create a journal entry for an operation.
+ *
+ * @export
+ * @param {Object} Params Parameters.
+ * @param {TreeOperationType} Params.type The kind of operation.
+ * @param {BookmarkTreeNode[]} [Params.bookmarks] The top most bookmarks that were created.
+ * @param {BrowserTab[]} [Params.tabs] The tabs that were opened.
+ * @param {TreeInfoNode[]} [Params.tabNodes] The nodes that the tabs were opened for. Used to find the URLs of tabs that haven't loaded yet.
+ * @returns {Promise<TreeOperation>} The journal entry.
+ */
+export async function createTreeOperation({ type, bookmarks = [], tabs = [], tabNodes = [] }) {
+    /** @type {JournalBookmark[]} */
+    const journalBookmarks = [];
+    for (const bookmark of bookmarks) {
+        const signature = await getBookmarkSignature(bookmark.id);
+        if (signature !== null) {
+            journalBookmarks.push({ id: bookmark.id, signature });
+        }
+    }
+
+    /** @type {Map<number, string>} */
+    const nodeURLs = new Map();
+    for (const node of tabNodes) {
+        if (!node.url) continue;
+        for (const tabId of Object.keys(node.instances.tab || {})) {
+            nodeURLs.set(parseInt(tabId), node.url);
+        }
+    }
+    /** @type {JournalTab[]} */
+    const journalTabs = tabs.map(tab => ({
+        id: tab.id,
+        // Tabs that failed to open have a "about:blank?" URL that they keep:
+        url: (tab.url && tab.url.startsWith('about:blank?')) || !nodeURLs.has(tab.id) ? getURLFromReaderModeURL(tab.url) : nodeURLs.get(tab.id),
+    }));
+
+    /** @type {TreeOperation} */
+    const operation = {
+        // Ids only need to be unique while the journal is stored:
+        id: Math.max(Date.now(), lastOperationId + 1),
+        type,
+        time: Date.now(),
+        bookmarks: journalBookmarks,
+        tabs: journalTabs,
+    };
+    lastOperationId = operation.id;
+    return operation;
+}
+
+/**
+ * Remove the bookmarks and tabs that an operation created. Nothing is removed if any of them were changed.
+ *
+ * @export
+ * @param {TreeOperation} operation The operation to undo.
+ * @returns {Promise<{ undone: boolean, changedCount: number }>} `undone` is `true` if the operation was undone, otherwise `changedCount` is the number of items that were changed.
+ */
+export async function undoTreeOperation(operation) {
+    const changed = await getChangedItems(operation);
+    const changedCount = changed.bookmarks.length + changed.tabs.length;
+    if (changedCount > 0) {
+        return { undone: false, changedCount };
+    }
+
+    if (operation.tabs.length > 0) {
+        await browser.tabs.remove(operation.tabs.map(tab => tab.id));
+    }
+    for (const bookmark of operation.bookmarks) {
+        await browser.bookmarks.removeTree(bookmark.id);
+    }
+    return { undone: true, changedCount: 0 };
+}
+
+// #endregion Operations
+
+
+// #region Journal
+
+/**
+ * Remembers the latest operations that created bookmarks or tabs so that they can be undone. The journal is kept in
+ * local storage so that bookmark operations can be undone after the extension is restarted. Tab ids are only valid until
+ * the browser is closed so `forgetTabs` should be called when the browser is started.
+ *
+ * @class TreeOperationJournal
+ */
+export class TreeOperationJournal {
+
+    /**
+     * Creates an instance of TreeOperationJournal.
+     *
+     * @param {Object} Params Parameters.
+     * @param {string} [Params.storageKey] The key in local storage that the journal is kept in.
+     * @param {number} [Params.maxCount] The number of operations to remember.
+     * @memberof TreeOperationJournal
+     */
+    constructor({ storageKey = 'treeOperationJournal', maxCount = 10 } = {}) {
+        this._storageKey = storageKey;
+        this._maxCount = maxCount;
+
+        /** @type {Promise<any>} Ensures that changes to the stored journal don't overlap. */
+        this._lastChange = Promise.resolve();
+
+        /** @type {EventManager<[TreeOperation]>} */
+        this._onRecorded = new EventManager();
+
+        /** @type {Set<number>} Opened tabs that haven't finished loading their first page. */
+        this._loadingTabIds = new Set();
+        this._isListening = false;
+        this._onTabUpdatedCallback = (tabId, changeInfo, tab) => {
+            if (changeInfo.status !== 'complete' || !this._loadingTabIds.has(tabId)) return;
+            const loadedURL = getLoadedURL(tab);
+            if (loadedURL !== null) {
+                this._setLoadedURL(tabId, loadedURL);
+            }
+        };
+    }
+
+    _setListening(listening) {
+        if (this._isListening === listening) return;
+        this._isListening = listening;
+        if (listening) {
+            browser.tabs.onUpdated.addListener(this._onTabUpdatedCallback);
+        } else {
+            browser.tabs.onUpdated.removeListener(this._onTabUpdatedCallback);
+        }
+    }
+
+    /**
+     * Remember the first page that an opened tab loaded.
+     *
+     * @param {number} tabId The id of the tab.
+     * @param {string} loadedURL The URL of the loaded page.
+     * @returns {Promise<void>} Resolves when the URL has been stored.
+     * @memberof TreeOperationJournal
+     */
+    async _setLoadedURL(tabId, loadedURL) {
+        this._loadingTabIds.delete(tabId);
+        try {
+            await this._change(operations => operations.map(operation => {
+                if (!operation.tabs.some(tab => tab.id === tabId && !tab.loadedURL)) return operation;
+                return Object.assign({}, operation, {
+                    tabs: operation.tabs.map(tab => tab.id === tabId && !tab.loadedURL ? Object.assign({}, tab, { loadedURL }) : tab),
+                });
+            }));
+        } catch (error) {
+            // Already logged.
+        }
+    }
+
+    /**
+     * Apply a change to the stored operations.
+     *
+     * @param {function(TreeOperation[]): TreeOperation[]} modify Gets the stored operations and returns the new ones.
+     * @returns {Promise<void>} Resolves when the change has been stored.
+     * @memberof TreeOperationJournal
+     */
+    _change(modify) {
+        const change = this._lastChange.then(async () => {
+            const operations = modify(await this.getOperations());
+            await browser.storage.local.set({ [this._storageKey]: operations });
+
+            // Keep track of the first page that remembered tabs load:
+            this._loadingTabIds = new Set();
+            for (const operation of operations) {
+                for (const tab of operation.tabs) {
+                    if (!tab.loadedURL) {
+                        this._loadingTabIds.add(tab.id);
+                    }
+                }
+            }
+            this._setListening(this._loadingTabIds.size > 0);
+        });
+        this._lastChange = change.catch(error => console.error('Failed to update the journal of tree operations:\n', error));
+        return change;
+    }
+
+    /**
+     * Get the remembered operations.
+     *
+     * @returns {Promise<TreeOperation[]>} The operations with the latest one last.
+     * @memberof TreeOperationJournal
+     */
+    async getOperations() {
+        const operations = (await browser.storage.local.get({ [this._storageKey]: [] }))[this._storageKey];
+        return Array.isArray(operations) ? operations : [];
+    }
+
+    /**
+     * Get the latest operation.
+     *
+     * @returns {Promise<TreeOperation | null>} The operation or `null` if there are no remembered operations.
+     * @memberof TreeOperationJournal
+     */
+    async getLastOperation() {
+        await this._lastChange;
+        const operations = await this.getOperations();
+        return operations.length > 0 ? operations[operations.length - 1] : null;
+    }
+
+    /**
+     * Remember an operation. The oldest operations are forgotten when there are too many.
+     *
+     * @param {TreeOperation} operation The operation to remember.
+     * @memberof TreeOperationJournal
+     */
+    async record(operation) {
+        if (operation.bookmarks.length === 0 && operation.tabs.length === 0) return;
+        await this._change(operations => operations.concat(operation).slice(-Math.max(1, this._maxCount)));
+
+        // Some tabs might have finished loading before their load could be detected:
+        for (const journalTab of operation.tabs) {
+            try {
+                const loadedURL = getLoadedURL(await browser.tabs.get(journalTab.id));
+                if (loadedURL !== null && this._loadingTabIds.has(journalTab.id)) {
+                    await this._setLoadedURL(journalTab.id, loadedURL);
+                }
+            } catch (error) {
+                // The tab was closed.
+            }
+        }
+        this._onRecorded.fire(operation);
+    }
+
+    /**
+     * Forget an operation.
+     *
+     * @param {number} operationId The id of the operation.
+     * @memberof TreeOperationJournal
+     */
+    async remove(operationId) {
+        await this._change(operations => operations.filter(operation => operation.id !== operationId));
+    }
+
+    /**
+     * Forget the tabs that operations opened. Operations that didn't create any bookmarks are forgotten completely.
+     *
+     * @returns {Promise<void>} Resolves when the tabs have been forgotten.
+     * @memberof TreeOperationJournal
+     */
+    async forgetTabs() {
+        await this._change(operations => operations
+            .filter(operation => operation.bookmarks.length > 0)
+            .map(operation => operation.tabs.length > 0 ? Object.assign({}, operation, { tabs: [] }) : operation));
+    }
+
+    /**
+     * An event that is fired after an operation has been remembered.
+     *
+     * @readonly
+     * @memberof TreeOperationJournal
+     */
+    get onRecorded() {
+        return this._onRecorded.subscriber;
+    }
+}
+
+// #endregion Journal
@@ -0,0 +1,209 @@
+'use strict';
+
+import {
+    kTST_ID,
+} from '../tree-style-tab/utilities.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+/**
+ * @typedef {import('../common/utilities.js').BrowserWindow} BrowserWindow
+ */
+
+
+/**
+ * Why a restore failed.
+ * - `createTab`: a tab couldn't be opened.
+ * - `attachTab`: Tree Style Tab couldn't attach a tab to its parent.
+ * - `unknown`: something else went wrong.
+ *
+ * @typedef {'createTab' | 'attachTab' | 'unknown'} RestoreFailureReason
+ */
+null;
+
+/**
+ * Info about why a restore failed.
+ *
+ * @typedef {Object} RestoreFailure
+ * @property {RestoreFailureReason} Info.reason What went wrong.
+ * @property {string} [Info.url] The URL of the tab that was affected.
+ * @property {any} [Info.error] The error that caused the failure.
+ */
+null;
+
+
+/**
+ * Keeps track of the tabs and windows that are opened and the Tree Style Tab attach calls that are made while a tree
+ * is restored so that everything can be closed again if the restore fails or is cancelled.
+ *
+ * @class RestoreTransaction
+ */
+export class RestoreTransaction {
+    constructor() {
+        /** @type {BrowserTab[]} */
+        this._tabs = [];
+        /** @type {BrowserWindow[]} */
+        this._windows = [];
+        /** @type {Object[]} Messages that were sent to Tree Style Tab. */
+        this._tstCalls = [];
+
+        /** @type {BrowserTab | null} The tab that was active before anything was restored. */
+        this._previousActiveTab = null;
+
+        /** @type {RestoreFailure | null} */
+        this._failure = null;
+    }
+
+    /**
+     * Remember the active tab so that it can be focused again if the transaction is rolled back.
+     *
+     * @param {number | null} windowId The window that tabs will be restored into. `null` for the current window.
+     * @memberof RestoreTransaction
+     */
+    async begin(windowId) {
+        try {
+            /** @type {Object} */
+            const queryInfo = { active: true };
+            if (windowId || windowId === 0) {
+                queryInfo.windowId = windowId;
+            } else {
+                queryInfo.lastFocusedWindow = true;
+            }
+            [this._previousActiveTab = null] = await browser.tabs.query(queryInfo);
+        } catch (error) {
+            console.error('Failed to find the active tab before restoring tabs:\n', error);
+        }
+    }
+
+    /**
+     * Remember a tab that was opened.
+     *
+     * @param {BrowserTab} tab The opened tab.
+     * @memberof RestoreTransaction
+     */
+    addTab(tab) {
+        this._tabs.push(tab);
+    }
+
+    /**
+     * Remember a window that was opened.
+     *
+     * @param {BrowserWindow} window The opened window.
+     * @memberof RestoreTransaction
+     */
+    addWindow(window) {
+        this._windows.push(window);
+    }
+
+    /**
+     * Attach a tab to a parent tab in Tree Style Tab. The transaction fails if the call fails.
+     *
+     * @param {Object} message The message to send to Tree Style Tab. Its `type` should be `attach`.
+     * @returns {Promise<any>} Tree Style Tab's response.
+     * @memberof RestoreTransaction
+     */
+    async attachTab(message) {
+        this._tstCalls.push(message);
+        try {
+            return await browser.runtime.sendMessage(kTST_ID, message);
+        } catch (error) {
+            this.fail({ reason: 'attachTab', url: this._getTabURL(message.child), error });
+            throw error;
+        }
+    }
+
+    /**
+     * Mark the transaction as failed. Only the first failure is remembered.
+     *
+     * @param {RestoreFailure} failure Why the restore failed.
+     * @memberof RestoreTransaction
+     */
+    fail(failure) {
+        if (!this._failure) {
+            this._failure = failure;
+        }
+    }
+
+    /**
+     * Close everything that was opened and focus the tab that was active before the transaction began.
+     *
+     * @returns {Promise<number>} The number of tabs that were closed.
+     * @memberof RestoreTransaction
+     */
+    async rollback() {
+        const windowIds = this._windows.map(window => window.id);
+        // Tabs in opened windows are closed together with their window:
+        const tabIds = this._tabs.filter(tab => !windowIds.includes(tab.windowId)).map(tab => tab.id);
+
+        for (const tabId of tabIds) {
+            try {
+                await browser.tabs.remove(tabId);
+            } catch (error) {
+                // Already closed, for example a temporary tab.
+            }
+        }
+        for (const windowId of windowIds) {
+            try {
+                await browser.windows.remove(windowId);
+            } catch (error) {
+                console.error(`Failed to close window with id ${windowId} while rolling back a restore:\n`, error);
+            }
+        }
+
+        if (this._previousActiveTab) {
+            try {
+                await browser.tabs.update(this._previousActiveTab.id, { active: true });
+                await browser.windows.update(this._previousActiveTab.windowId, { focused: true });
+            } catch (error) {
+                console.error('Failed to focus the previously active tab while rolling back a restore:\n', error);
+            }
+        }
+        return this._tabs.length;
+    }
+
+    /**
+     * @param {number} tabId The id of an opened tab.
+     * @returns {string} The URL that the tab was opened with.
+     * @memberof RestoreTransaction
+     */
+    _getTabURL(tabId) {
+        const tab = this._tabs.find(tab => tab.id === tabId);
+        return tab ? tab.url || '' : '';
+    }
+
+    /**
+     * The tabs that were opened.
+     *
+     * @readonly
+     * @memberof RestoreTransaction
+     */
+    get tabs() {
+        return this._tabs.slice();
+    }
+
+    /**
+     * The messages that were sent to Tree Style Tab to attach tabs.
+     *
+     * @readonly
+     * @memberof RestoreTransaction
+     */
+    get tstCalls() {
+        return this._tstCalls.slice();
+    }
+
+    /**
+     * Why the restore failed or `null` if it hasn't failed.
+     *
+     * @readonly
+     * @memberof RestoreTransaction
+     */
+    get failure() {
+        return this._failure;
+    }
+
+    get isFailed() {
+        return Boolean(this._failure);
+    }
+}
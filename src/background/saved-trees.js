@@ -0,0 +1,712 @@
+'use strict';
+
+import {
+    isTreeMetadataBookmark,
+} from '../background/bookmark-formats.js';
+
+import {
+    RequestManager,
+} from '../common/delays.js';
+
+import {
+    EventManager,
+} from '../common/events.js';
+
+
+/**
+ * @typedef {import('../background/tree-info-node.js').TreeInfoNode} TreeInfoNode
+ */
+/**
+ * @typedef {import('../background/tree-info-node.js').BookmarkTreeNode} BookmarkTreeNode
+ */
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+
+
+/**
+ * The number of bookmarks that were changed when a saved tree was updated.
+ *
+ * @typedef {Object} SavedTreeChanges
+ * @property {number} Info.created The number of created bookmarks. Bookmarks inside created folders are included.
+ * @property {number} Info.moved The number of bookmarks that were moved to a new position.
+ * @property {number} Info.removed The number of removed bookmarks. Folders are counted once even if they had content.
+ * @property {number} Info.updated The number of bookmarks that had their title or URL changed.
+ */
+null;
+
+/**
+ * Why a synced saved tree stopped being kept up to date.
+ * - `removed`: the bookmark folder was removed.
+ * - `edited`: the bookmarks in the folder were changed by something other than this extension.
+ * - `noTabs`: all tabs that were linked to the folder have been closed.
+ *
+ * @typedef {'removed' | 'edited' | 'noTabs'} SyncStoppedReason
+ */
+null;
+
+
+// #region Tabs Linked to Saved Trees
+
+/** The key used with `browser.sessions.setTabValue` to remember which bookmark folder a tab was saved to or restored from. */
+const savedTreeTabValueKey = 'savedTreeFolderId';
+
+/** The optional permission that is needed to link tabs to saved trees. */
+const savedTreeLinkPermission = { permissions: ['sessions'] };
+
+/**
+ * Check if tabs can be linked to saved trees. That requires the optional "sessions" permission.
+ *
+ * @export
+ * @returns {Promise<boolean>} `true` if the permission has been granted.
+ */
+export async function canLinkTabsToSavedTrees() {
+    if (!browser.sessions) {
+        return false;
+    }
+    try {
+        return await browser.permissions.contains(savedTreeLinkPermission);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Ask the user for the permission that is needed to link tabs to saved trees. Must be called while handling a user
+ * action, for example a context menu click, and before anything else is awaited.
+ *
+ * @export
+ * @returns {Promise<boolean>} `true` if the permission was granted.
+ */
+export async function requestSavedTreeLinkPermission() {
+    try {
+        return await browser.permissions.request(savedTreeLinkPermission);
+    } catch (error) {
+        console.error('Failed to request the permission to link tabs to saved trees:\n', error);
+        return false;
+    }
+}
+
+/**
+ * Remember that some tabs are part of a tree that is saved in a bookmark folder. The link is kept if the browser is
+ * restarted and the tabs are restored. Nothing is remembered unless `requestSavedTreeLinkPermission` has been granted.
+ *
+ * @export
+ * @param {number[]} tabIds Ids for the tabs that are part of the saved tree.
+ * @param {string} folderId The id of the bookmark folder that the tree is saved in.
+ */
+export async function linkTabsToSavedTree(tabIds, folderId) {
+    if (!await canLinkTabsToSavedTrees()) {
+        return;
+    }
+    await Promise.all(tabIds.map(async (tabId) => {
+        try {
+            await browser.sessions.setTabValue(tabId, savedTreeTabValueKey, folderId);
+        } catch (error) {
+            console.warn(`Failed to link the tab with id ${tabId} to the saved tree in the bookmark folder with id "${folderId}":\n`, error);
+        }
+    }));
+}
+
+/**
+ * Get the id of the bookmark folder that a tab's tree is saved in.
+ *
+ * @export
+ * @param {number} tabId The id of a tab.
+ * @returns {Promise<string | null>} The id of a bookmark folder or `null` if the tab isn't linked to a saved tree.
+ */
+export async function getSavedTreeFolderId(tabId) {
+    if (!browser.sessions) {
+        return null;
+    }
+    try {
+        const folderId = await browser.sessions.getTabValue(tabId, savedTreeTabValueKey);
+        return folderId && typeof folderId === 'string' ? folderId : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the ids of the tabs that some tree nodes were opened as or created from.
+ *
+ * @export
+ * @param {TreeInfoNode[]} nodes Nodes that might have tab instances.
+ * @returns {number[]} Tab ids.
+ */
+export function getTabIdsForNodes(nodes) {
+    const tabIds = [];
+    for (const node of nodes) {
+        const tabs = node.instances.tab;
+        if (!tabs) continue;
+        tabIds.push(...Object.keys(tabs).map(id => parseInt(id)));
+    }
+    return tabIds;
+}
+
+/**
+ * Find the open tabs that are linked to saved trees. Each tab's link is only looked up once so this is cheaper than
+ * checking all tabs for every saved tree.
+ *
+ * @export
+ * @returns {Promise<Map<string, BrowserTab[]>>} The linked tabs for the id of each bookmark folder that has any.
+ */
+export async function getSavedTreeTabLinks() {
+    /** @type {Map<string, BrowserTab[]>} */
+    const tabLinks = new Map();
+    if (!await canLinkTabsToSavedTrees()) {
+        return tabLinks;
+    }
+    /** @type {BrowserTab[]} */
+    const allTabs = await browser.tabs.query({});
+    const folderIds = await Promise.all(allTabs.map(tab => getSavedTreeFolderId(tab.id)));
+    for (let i = 0; i < allTabs.length; i++) {
+        const folderId = folderIds[i];
+        if (!folderId) continue;
+        const linkedTabs = tabLinks.get(folderId) || [];
+        linkedTabs.push(allTabs[i]);
+        tabLinks.set(folderId, linkedTabs);
+    }
+    return tabLinks;
+}
+
+/**
+ * Find the open tabs that are linked to a saved tree. Only tabs from the window with the most linked tabs are returned.
+ *
+ * @export
+ * @param {string} folderId The id of the bookmark folder that the tree is saved in.
+ * @param {Map<string, BrowserTab[]>} [tabLinks] Links from `getSavedTreeTabLinks`. Found if not provided.
+ * @returns {Promise<BrowserTab[]>} The linked tabs in the order they have in their window.
+ */
+export async function getTabsLinkedToSavedTree(folderId, tabLinks = null) {
+    if (!tabLinks) {
+        tabLinks = await getSavedTreeTabLinks();
+    }
+    const linkedTabs = tabLinks.get(folderId) || [];
+
+    /** @type {Map<number, BrowserTab[]>} */
+    const tabsByWindow = new Map();
+    for (const tab of linkedTabs) {
+        const windowTabs = tabsByWindow.get(tab.windowId) || [];
+        windowTabs.push(tab);
+        tabsByWindow.set(tab.windowId, windowTabs);
+    }
+    let result = [];
+    for (const windowTabs of tabsByWindow.values()) {
+        if (windowTabs.length > result.length) {
+            result = windowTabs;
+        }
+    }
+    return result.slice().sort((a, b) => a.index - b.index);
+}
+
+// #endregion Tabs Linked to Saved Trees
+
+
+// #region Update Saved Trees
+
+/** The key in local storage that the content of saved tree folders right after this extension last updated them is kept in. Used to detect changes made by the user, also after the browser is restarted. */
+const updatedFolderSignaturesKey = 'savedTreeFolderSignatures';
+
+/** @type {Promise<any>} Ensures that changes to the stored folder signatures don't overlap. */
+let lastFolderSignaturesChange = Promise.resolve();
+
+/**
+ * @returns {Promise<Object<string, string>>} The stored signature for each folder id.
+ */
+async function loadUpdatedFolderSignatures() {
+    const signatures = (await browser.storage.local.get({ [updatedFolderSignaturesKey]: {} }))[updatedFolderSignaturesKey];
+    return signatures && typeof signatures === 'object' ? signatures : {};
+}
+
+/**
+ * Get the content that saved tree folders had right after this extension last updated them.
+ *
+ * @returns {Promise<Object<string, string>>} The signature for each folder id.
+ */
+async function getUpdatedFolderSignatures() {
+    await lastFolderSignaturesChange;
+    return loadUpdatedFolderSignatures();
+}
+
+/**
+ * Apply a change to the stored folder signatures.
+ *
+ * @param {function(Object<string, string>): void} modify Gets the stored signatures and can change them.
+ * @returns {Promise<void>} Resolves when the change has been stored.
+ */
+function changeUpdatedFolderSignatures(modify) {
+    const change = lastFolderSignaturesChange.then(async () => {
+        const signatures = await loadUpdatedFolderSignatures();
+        modify(signatures);
+        await browser.storage.local.set({ [updatedFolderSignaturesKey]: signatures });
+    });
+    lastFolderSignaturesChange = change.catch(error => console.error('Failed to store the content of updated saved trees:\n', error));
+    return change;
+}
+
+/**
+ * Get a string that describes the bookmarks inside a folder. Two folders with the same signature contain the same
+ * bookmarks in the same order.
+ *
+ * @param {string} folderId The id of a bookmark folder.
+ * @returns {Promise<string | null>} The folder's signature or `null` if the folder doesn't exist.
+ */
+async function getFolderSignature(folderId) {
+    let folder;
+    try {
+        [folder] = await browser.bookmarks.getSubTree(folderId);
+    } catch (error) {
+        return null;
+    }
+    if (!folder) return null;
+
+    const describe = (bookmark) => [
+        getBookmarkType(bookmark),
+        bookmark.title,
+        bookmark.url,
+        (bookmark.children || []).map(describe),
+    ];
+    return JSON.stringify((folder.children || []).map(describe));
+}
+
+/**
+ * Determine the bookmarks that would be created if a tree was saved without actually creating any bookmarks.
+ *
+ * @export
+ * @param {TreeInfoNode} rootNode The tree to save.
+ * @param {Object} saveParams Parameters for `TreeInfoNode.saveAsBookmarks`. The `parentBookmarkId` and `bookmarkCreator` are ignored.
+ * @returns {Promise<BookmarkTreeNode[]>} Objects that look like the bookmarks that would be placed directly inside the parent folder.
+ */
+export async function planTreeBookmarks(rootNode, saveParams) {
+    /** @type {BookmarkTreeNode} */
+    const virtualRoot = /** @type {any} */ ({ id: 'virtual-root', type: 'folder', title: '', children: [] });
+    const bookmarksById = new Map([[virtualRoot.id, virtualRoot]]);
+    let lastId = 0;
+
+    const bookmarkCreator = async (details) => {
+        const parent = bookmarksById.get(details.parentId) || virtualRoot;
+        const bookmark = {
+            id: `virtual-${++lastId}`,
+            parentId: parent.id,
+            type: details.type || (details.url ? 'bookmark' : 'folder'),
+            title: details.title || '',
+            children: [],
+        };
+        if (details.url) {
+            bookmark.url = details.url;
+        }
+        if (typeof details.index === 'number') {
+            parent.children.splice(details.index, 0, bookmark);
+        } else {
+            parent.children.push(bookmark);
+        }
+        bookmarksById.set(bookmark.id, bookmark);
+        return bookmark;
+    };
+
+    await rootNode.saveAsBookmarks(Object.assign({}, saveParams, {
+        parentBookmarkId: virtualRoot.id,
+        bookmarkCreator,
+    }));
+    return virtualRoot.children;
+}
+
+/**
+ * Determine the bookmarks that would be created if a tree was saved to a new folder without actually creating any bookmarks.
+ *
+ * @param {Object} Params Parameters.
+ * @param {TreeInfoNode} Params.rootNode The tree to save.
+ * @param {string} Params.format The tree data format to save the tree with.
+ * @param {string} [Params.folderSuffix] A suffix for any created folders.
+ * @returns {Promise<BookmarkTreeNode[]>} Objects that look like the bookmarks that would be placed inside the saved tree's folder.
+ */
+async function planSavedTreeBookmarks({ rootNode, format, folderSuffix = '' }) {
+    const [folder] = await planTreeBookmarks(rootNode, { format, folderSuffix, inFolder: true });
+    // The tree's content is always placed in a single new folder because of `inFolder`:
+    return folder ? folder.children : [];
+}
+
+/**
+ * @param {BookmarkTreeNode} bookmark A bookmark.
+ * @returns {string} The bookmark's type (`bookmark`, `folder` or `separator`).
+ */
+function getBookmarkType(bookmark) {
+    return bookmark.type || (bookmark.url ? 'bookmark' : 'folder');
+}
+
+/**
+ * Get a key that is the same for bookmarks that most likely represent the same tab.
+ *
+ * @param {BookmarkTreeNode} bookmark A bookmark.
+ * @returns {string} A key that identifies what the bookmark represents.
+ */
+function getBookmarkMatchKey(bookmark) {
+    const type = getBookmarkType(bookmark);
+    if (isTreeMetadataBookmark(bookmark)) {
+        return 'metadata:' + type;
+    }
+    if (type === 'bookmark') {
+        return 'bookmark:' + bookmark.url;
+    }
+    if (type === 'folder') {
+        return 'folder:' + bookmark.title;
+    }
+    return type;
+}
+
+/**
+ * Pair wanted bookmarks with existing bookmarks that can be reused for them. Bookmarks with the same URL (or folders
+ * with the same title) are paired first and then any remaining bookmarks of the same type are paired in order.
+ *
+ * @param {BookmarkTreeNode[]} wantedBookmarks Bookmarks that should exist.
+ * @param {BookmarkTreeNode[]} existingBookmarks Bookmarks that currently exist.
+ * @returns {Map<BookmarkTreeNode, BookmarkTreeNode>} Keys are wanted bookmarks and values are existing bookmarks.
+ */
+function matchBookmarks(wantedBookmarks, existingBookmarks) {
+    const matches = new Map();
+    const unmatched = new Set(existingBookmarks);
+
+    /** @type {Map<string, BookmarkTreeNode[]>} */
+    const existingByKey = new Map();
+    for (const bookmark of existingBookmarks) {
+        const key = getBookmarkMatchKey(bookmark);
+        const sameKey = existingByKey.get(key) || [];
+        sameKey.push(bookmark);
+        existingByKey.set(key, sameKey);
+    }
+    for (const wanted of wantedBookmarks) {
+        const sameKey = existingByKey.get(getBookmarkMatchKey(wanted));
+        if (sameKey && sameKey.length > 0) {
+            const existing = sameKey.shift();
+            matches.set(wanted, existing);
+            unmatched.delete(existing);
+        }
+    }
+
+    // Reuse remaining bookmarks (for example tabs that navigated to a new URL):
+    for (const wanted of wantedBookmarks) {
+        if (matches.has(wanted)) continue;
+        const type = getBookmarkType(wanted);
+        for (const existing of unmatched) {
+            if (getBookmarkType(existing) === type) {
+                matches.set(wanted, existing);
+                unmatched.delete(existing);
+                break;
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Create a bookmark and all of its children.
+ *
+ * @param {string} parentId The folder to create the bookmark in.
+ * @param {number} index The position of the bookmark in its folder.
+ * @param {BookmarkTreeNode} wanted Info about the bookmark to create.
+ * @param {SavedTreeChanges} changes Updated with the number of created bookmarks.
+ */
+async function createBookmarkTree(parentId, index, wanted, changes) {
+    const type = getBookmarkType(wanted);
+    const details = { parentId, index, type };
+    if (type !== 'separator') {
+        details.title = wanted.title;
+    }
+    if (type === 'bookmark') {
+        details.url = wanted.url;
+    }
+    const created = await browser.bookmarks.create(details);
+    changes.created++;
+    for (const [childIndex, child] of (wanted.children || []).entries()) {
+        await createBookmarkTree(created.id, childIndex, child, changes);
+    }
+}
+
+/**
+ * Change the content of a bookmark folder so that it looks like the wanted bookmarks.
+ *
+ * @param {string} folderId The id of the folder to change.
+ * @param {BookmarkTreeNode[]} wantedBookmarks The bookmarks that the folder should contain.
+ * @param {BookmarkTreeNode[]} existingBookmarks The bookmarks that the folder currently contains.
+ * @param {SavedTreeChanges} changes Updated with the number of changed bookmarks.
+ */
+async function applyBookmarkChanges(folderId, wantedBookmarks, existingBookmarks, changes) {
+    const matches = matchBookmarks(wantedBookmarks, existingBookmarks);
+    const reused = new Set(matches.values());
+
+    for (const bookmark of existingBookmarks) {
+        if (reused.has(bookmark)) continue;
+        if (getBookmarkType(bookmark) === 'folder') {
+            await browser.bookmarks.removeTree(bookmark.id);
+        } else {
+            await browser.bookmarks.remove(bookmark.id);
+        }
+        changes.removed++;
+    }
+
+    /** The folder's current content. Used to avoid moving bookmarks that are already at the right position. */
+    const currentOrder = existingBookmarks.filter(bookmark => reused.has(bookmark));
+    for (const [index, wanted] of wantedBookmarks.entries()) {
+        const bookmark = matches.get(wanted);
+        if (!bookmark) {
+            await createBookmarkTree(folderId, index, wanted, changes);
+            currentOrder.splice(index, 0, wanted);
+            continue;
+        }
+
+        if (currentOrder[index] !== bookmark) {
+            // The bookmark is always moved to a lower index since all earlier positions are already correct.
+            await browser.bookmarks.move(bookmark.id, { parentId: folderId, index });
+            currentOrder.splice(currentOrder.indexOf(bookmark), 1);
+            currentOrder.splice(index, 0, bookmark);
+            changes.moved++;
+        }
+
+        const type = getBookmarkType(bookmark);
+        const update = {};
+        if (type !== 'separator' && bookmark.title !== wanted.title) {
+            update.title = wanted.title;
+        }
+        if (type === 'bookmark' && bookmark.url !== wanted.url) {
+            update.url = wanted.url;
+        }
+        if (Object.keys(update).length > 0) {
+            await browser.bookmarks.update(bookmark.id, update);
+            changes.updated++;
+        }
+
+        if (type === 'folder') {
+            await applyBookmarkChanges(bookmark.id, wanted.children || [], bookmark.children || [], changes);
+        }
+    }
+}
+
+/**
+ * Update the bookmarks in a saved tree's folder so that they represent a new tree. Bookmarks are reused where possible
+ * so that only the bookmarks that differ are created, moved, removed or updated. The folder itself isn't changed.
+ *
+ * @export
+ * @param {Object} Params Parameters.
+ * @param {string} Params.folderId The id of the bookmark folder that the tree is saved in.
+ * @param {TreeInfoNode} Params.rootNode The tree that the folder should contain.
+ * @param {string} Params.format The tree data format to save the tree with. Should be the format the folder already uses.
+ * @param {string} [Params.folderSuffix] A suffix for any created folders.
+ * @returns {Promise<SavedTreeChanges>} The number of changed bookmarks.
+ */
+export async function updateSavedTreeBookmarks({ folderId, rootNode, format, folderSuffix = '' }) {
+    const wantedBookmarks = await planSavedTreeBookmarks({ rootNode, format, folderSuffix });
+    const [folder] = await browser.bookmarks.getSubTree(folderId);
+
+    /** @type {SavedTreeChanges} */
+    const changes = { created: 0, moved: 0, removed: 0, updated: 0 };
+    await applyBookmarkChanges(folder.id, wantedBookmarks, folder.children || [], changes);
+
+    const signature = await getFolderSignature(folder.id);
+    await changeUpdatedFolderSignatures((signatures) => {
+        signatures[folder.id] = signature;
+    });
+    return changes;
+}
+
+// #endregion Update Saved Trees
+
+
+// #region Synced Saved Trees
+
+/**
+ * Keeps saved trees up to date while their tabs change. Changes to tabs are collected and once no changes have
+ * happened for a while the bookmark folders of all synced trees are updated.
+ *
+ * A folder stops being synced if it is removed, if the user changes its bookmarks or if all of its tabs are closed.
+ *
+ * @class SavedTreeSyncer
+ */
+export class SavedTreeSyncer {
+
+    /**
+     * Creates an instance of SavedTreeSyncer.
+     *
+     * @param {Object} Params Parameters.
+     * @param {function(string, BrowserTab[]): Promise<SavedTreeChanges | null>} Params.updateTree Update the saved tree in a bookmark folder so that it matches its tabs. Called with the folder's id and the tabs that are linked to it.
+     * @param {number | function(): number} [Params.delay] The time in milliseconds to wait after the latest change to tabs before synced trees are updated.
+     * @param {string[]} [Params.folderIds] Folders that were already synced, for example before the browser was restarted. Changes made to them by the user since they were last updated stop their sync.
+     * @memberof SavedTreeSyncer
+     */
+    constructor({ updateTree, delay = 2000, folderIds = [] }) {
+        this._updateTree = updateTree;
+        this._isDisposed = false;
+
+        /** @type {string[]} */
+        this._folderIds = folderIds.slice();
+
+        /** @type {EventManager<[string, SyncStoppedReason, string | null]>} */
+        this._onSyncStopped = new EventManager();
+
+        this._updateManager = new RequestManager(() => this._syncAll(), delay);
+
+        this._isListening = false;
+        this._onTabsChangedCallback = () => this.queueUpdate();
+        this._onTabUpdatedCallback = (tabId, changeInfo) => {
+            if ('url' in changeInfo || 'title' in changeInfo || 'pinned' in changeInfo || 'mutedInfo' in changeInfo) {
+                this.queueUpdate();
+            }
+        };
+        this._onBookmarkRemovedCallback = (id) => {
+            if (this._folderIds.includes(id)) {
+                this._stopSync(id, 'removed', null);
+            }
+        };
+
+        this._setListening(this._folderIds.length > 0);
+        this.queueUpdate();
+    }
+
+    _setListening(listening) {
+        if (this._isListening === listening) return;
+        this._isListening = listening;
+
+        const tabEvents = [
+            browser.tabs.onCreated,
+            browser.tabs.onRemoved,
+            browser.tabs.onMoved,
+            browser.tabs.onAttached,
+            browser.tabs.onDetached,
+        ];
+        for (const event of tabEvents) {
+            if (listening) {
+                event.addListener(this._onTabsChangedCallback);
+            } else {
+                event.removeListener(this._onTabsChangedCallback);
+            }
+        }
+        if (listening) {
+            browser.tabs.onUpdated.addListener(this._onTabUpdatedCallback);
+            browser.bookmarks.onRemoved.addListener(this._onBookmarkRemovedCallback);
+        } else {
+            browser.tabs.onUpdated.removeListener(this._onTabUpdatedCallback);
+            browser.bookmarks.onRemoved.removeListener(this._onBookmarkRemovedCallback);
+        }
+    }
+
+    /**
+     * Update all synced trees once no more changes have happened for a while. Should be called when something happens
+     * that the tab events don't cover, for example when Tree Style Tab changes the tree structure.
+     *
+     * @memberof SavedTreeSyncer
+     */
+    queueUpdate() {
+        if (this.isDisposed || this._folderIds.length === 0) return;
+        // Restart the wait so that the update happens after the latest change:
+        this._updateManager.block();
+        this._updateManager.invalidate();
+    }
+
+    async _syncAll() {
+        // Find the linked tabs for all folders at once:
+        const tabLinks = await getSavedTreeTabLinks();
+        for (const folderId of this._folderIds.slice()) {
+            if (this.isDisposed) return;
+            if (!this._folderIds.includes(folderId)) continue;
+            try {
+                await this._syncFolder(folderId, tabLinks);
+            } catch (error) {
+                console.error(`Failed to sync saved tree in the bookmark folder with id "${folderId}":\n`, error);
+            }
+        }
+    }
+
+    /**
+     * @param {string} folderId The id of the folder to update.
+     * @param {Map<string, BrowserTab[]>} tabLinks The tabs that are linked to saved trees.
+     */
+    async _syncFolder(folderId, tabLinks) {
+        const signature = await getFolderSignature(folderId);
+        if (signature === null) {
+            this._stopSync(folderId, 'removed', null);
+            return;
+        }
+        const [folder] = await browser.bookmarks.get(folderId);
+
+        // Folders that haven't been updated since they started being synced don't have a signature so any earlier changes to them are allowed:
+        const updatedSignature = (await getUpdatedFolderSignatures())[folderId];
+        if (typeof updatedSignature === 'string' && updatedSignature !== signature) {
+            this._stopSync(folderId, 'edited', folder.title);
+            return;
+        }
+
+        const tabs = await getTabsLinkedToSavedTree(folderId, tabLinks);
+        if (tabs.length === 0) {
+            this._stopSync(folderId, 'noTabs', folder.title);
+            return;
+        }
+
+        if (!this._folderIds.includes(folderId)) return;
+        await this._updateTree(folderId, tabs);
+    }
+
+    /**
+     * @param {string} folderId The id of the folder that should no longer be synced.
+     * @param {SyncStoppedReason} reason Why the folder is no longer synced.
+     * @param {string | null} title The folder's title if it is known.
+     */
+    _stopSync(folderId, reason, title) {
+        if (!this._folderIds.includes(folderId)) return;
+        this.folderIds = this._folderIds.filter(id => id !== folderId);
+        this._onSyncStopped.fire(folderId, reason, title);
+    }
+
+    /**
+     * The ids of the bookmark folders that are kept up to date with their tabs. Newly added folders are updated soon
+     * after they are added.
+     *
+     * @type {string[]}
+     * @memberof SavedTreeSyncer
+     */
+    get folderIds() {
+        return this._folderIds.slice();
+    }
+    set folderIds(value) {
+        if (this.isDisposed) return;
+        const previousIds = this._folderIds;
+        const added = value.filter(id => !previousIds.includes(id));
+        this._folderIds = value.slice();
+        // Forget the content of folders that weren't synced before so that earlier changes to them are allowed:
+        const keptIds = this._folderIds.filter(id => previousIds.includes(id));
+        changeUpdatedFolderSignatures((signatures) => {
+            for (const id of Object.keys(signatures)) {
+                if (!keptIds.includes(id)) {
+                    delete signatures[id];
+                }
+            }
+        }).catch(() => { /* Already logged. */ });
+
+        this._setListening(this._folderIds.length > 0);
+        if (added.length > 0) {
+            this.queueUpdate();
+        }
+    }
+
+    /**
+     * An event that is fired when a folder stops being synced without being asked to. Listeners get the folder's id,
+     * the reason that the sync was stopped and the folder's title if it is still known.
+     *
+     * @readonly
+     * @memberof SavedTreeSyncer
+     */
+    get onSyncStopped() {
+        return this._onSyncStopped.subscriber;
+    }
+
+    dispose() {
+        if (this.isDisposed) return;
+        this._isDisposed = true;
+        this._setListening(false);
+        this._updateManager.dispose();
+    }
+    get isDisposed() {
+        return this._isDisposed;
+    }
+}
+
+// #endregion Synced Saved Trees
@@ -0,0 +1,98 @@
+'use strict';
+
+
+/**
+ * @typedef {import('../background/tree-info-node.js').TreeInfoNode} TreeInfoNode
+ */
+/**
+ * @typedef {import('../background/tree-info-node.js').BookmarkTreeNode} BookmarkTreeNode
+ */
+
+
+/**
+ * Determines which automatic session snapshots are kept. A snapshot is kept if any of the rules keeps it.
+ *
+ * @typedef {Object} SnapshotRetention
+ * @property {number} Info.keepLast The number of the newest snapshots that are always kept. Negative to keep all snapshots. The newest snapshot is always kept.
+ * @property {number} Info.keepDailyForDays The number of days to keep the newest snapshot of each day for.
+ * @property {number} Info.keepWeeklyForWeeks The number of weeks to keep the newest snapshot of each week for.
+ */
+null;
+
+
+const dayInMilliseconds = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a key that is the same for all times during the same local day.
+ *
+ * @param {Date} date A time.
+ * @returns {string} The day's key.
+ */
+function getDayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+}
+
+/**
+ * Get a key that is the same for all times during the same week. Weeks start on Mondays.
+ *
+ * @param {Date} date A time.
+ * @returns {string} The week's key.
+ */
+function getWeekKey(date) {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    return getDayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday));
+}
+
+/**
+ * Get a hash that changes if any tree in a session changes.
+ *
+ * @export
+ * @param {TreeInfoNode[]} rootNodes The tree of each window in the session.
+ * @returns {string} The session's hash.
+ */
+export function getSessionHash(rootNodes) {
+    return rootNodes.map(rootNode => rootNode.getHash()).join('-');
+}
+
+/**
+ * Find the snapshots that should be removed according to a retention policy.
+ *
+ * @export
+ * @param {BookmarkTreeNode[]} snapshots The bookmark folders of all snapshots.
+ * @param {SnapshotRetention & { now?: number }} retention Determines which snapshots to keep. `now` is the current time in milliseconds.
+ * @returns {BookmarkTreeNode[]} The snapshots that aren't kept by any rule.
+ */
+export function getSnapshotsToRemove(snapshots, { keepLast, keepDailyForDays, keepWeeklyForWeeks, now = Date.now() }) {
+    if (keepLast < 0) {
+        return [];
+    }
+    const newestFirst = snapshots.slice().sort((a, b) => (b.dateAdded || 0) - (a.dateAdded || 0));
+
+    // Never remove the newest snapshot since it was most likely just created:
+    const kept = new Set(newestFirst.slice(0, Math.max(1, keepLast)));
+
+    /**
+     * Keep the newest snapshot in each period.
+     *
+     * @param {number} maxAge Only keep snapshots that are newer than this many milliseconds.
+     * @param {function(Date): string} getPeriodKey Get a key for the period that a snapshot was created in.
+     */
+    const keepNewestInPeriods = (maxAge, getPeriodKey) => {
+        const seenPeriods = new Set();
+        for (const snapshot of newestFirst) {
+            if (now - (snapshot.dateAdded || 0) > maxAge) break;
+            const key = getPeriodKey(new Date(snapshot.dateAdded));
+            if (seenPeriods.has(key)) continue;
+            seenPeriods.add(key);
+            kept.add(snapshot);
+        }
+    };
+    if (keepDailyForDays > 0) {
+        keepNewestInPeriods(keepDailyForDays * dayInMilliseconds, getDayKey);
+    }
+    if (keepWeeklyForWeeks > 0) {
+        keepNewestInPeriods(keepWeeklyForWeeks * 7 * dayInMilliseconds, getWeekKey);
+    }
+
+    return newestFirst.filter(snapshot => !kept.has(snapshot));
+}
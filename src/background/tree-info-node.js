@@ -18,6 +18,21 @@ import {
     trackedDelay,
 } from '../common/common.js';
 
+import {
+    deepCopy,
+} from '../common/utilities.js';
+
+import {
+    getContainerInfo,
+    getContainerCookieStoreId,
+} from '../common/containers.js';
+
+import {
+    getBookmarkFormat,
+    getBookmarkFormats,
+    isTreeMetadataBookmark,
+} from '../background/bookmark-formats.js';
+
 
 /**
  * @typedef {import('../tree-style-tab/utilities.js').TSTTab} TSTTab
@@ -25,6 +40,15 @@ import {
 /**
  * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
  */
+/**
+ * @typedef {import('../common/containers.js').ContainerInfo} ContainerInfo
+ */
+/**
+ * @typedef {import('../common/delays.js').CancellationToken} CancellationToken
+ */
+/**
+ * @typedef {import('../background/restore-transaction.js').RestoreTransaction} RestoreTransaction
+ */
 
 /**
  * A bookmark object returned by the WebExtension API.
@@ -71,6 +95,62 @@ null;
  */
 null;
 
+/**
+ * Extra info about the tab that a `TreeInfoNode` represents. All values must be serializable with JSON.
+ *
+ * @typedef {Object} NodeMetadata
+ * @property {boolean} [Info.collapsed] The tab's subtree was collapsed in Tree Style Tab.
+ * @property {ContainerInfo} [Info.container] The container that the tab was opened in.
+ * @property {boolean} [Info.pinned] The tab was pinned.
+ * @property {boolean} [Info.muted] The tab was muted.
+ * @property {boolean} [Info.readerMode] The tab was shown in reader view. The node's URL is the URL of the page that was shown in reader view.
+ * @property {WindowGeometry} [Info.window] The size and position of the window that the tree was saved from. Only stored for the top most node that is saved.
+ * @property {number} [Info.savedDate] The time when the tree was saved to bookmarks in milliseconds since the epoch. Only known for trees saved with the metadata bookmark format.
+ */
+null;
+
+/**
+ * The size and position of a browser window.
+ *
+ * @typedef {Object} WindowGeometry
+ * @property {string} [Info.state] The window's state, for example `normal` or `maximized`.
+ * @property {number} [Info.left] The offset of the window from the left edge of the screen in pixels.
+ * @property {number} [Info.top] The offset of the window from the top edge of the screen in pixels.
+ * @property {number} [Info.width] The width of the window in pixels.
+ * @property {number} [Info.height] The height of the window in pixels.
+ */
+null;
+
+/**
+ * How far `openAsTabs` has come.
+ *
+ * @typedef {Object} OpenTabsProgress
+ * @property {number} Info.created The number of tabs that have been opened.
+ * @property {number} Info.failed The number of tabs that couldn't be opened. Tabs that were opened with a `about:blank?` URL because their URL couldn't be opened are included.
+ * @property {number} Info.total The number of tabs that should be opened.
+ */
+null;
+
+/**
+ * A `TreeInfoNode` that has been serialized with its `toJSON` method.
+ *
+ * @typedef {Object} TreeInfoNodeJSON
+ * @property {number} version The version of the serialization format. See `TreeInfoNode.jsonVersion`.
+ * @property {TreeInfoNodeJSONEntry} root The serialized root node.
+ */
+null;
+
+/**
+ * A single serialized node with its serialized children.
+ *
+ * @typedef {Object} TreeInfoNodeJSONEntry
+ * @property {string} title The node's title.
+ * @property {string} url The node's URL. Empty for nodes that don't represent a tab.
+ * @property {TreeInfoNodeJSONEntry[]} children Serialized child nodes.
+ * @property {NodeMetadata} [metadata] Extra info about the node's tab. Omitted if there is no info.
+ */
+null;
+
 /**
  * This is how instances are stored for each `TreeInfoNode`.
  *
@@ -93,6 +173,84 @@ null;
 null;
 
 
+/**
+ * Get extra info about a tab that should be stored in a `TreeInfoNode`'s metadata.
+ *
+ * @param {BrowserTab | TSTTab} tab A tab, possibly with Tree Style Tab info.
+ * @returns {Promise<NodeMetadata>} Info about the tab.
+ */
+async function getTabMetadata(tab) {
+    /** @type {NodeMetadata} */
+    const metadata = {};
+    if ('states' in tab && Array.isArray(tab.states) && tab.states.includes('subtree-collapsed')) {
+        metadata.collapsed = true;
+    }
+    const container = await getContainerInfo(tab.cookieStoreId);
+    if (container) {
+        metadata.container = container;
+    }
+    if (tab.pinned) {
+        metadata.pinned = true;
+    }
+    if (tab.mutedInfo && tab.mutedInfo.muted) {
+        metadata.muted = true;
+    }
+    if (tab.isInReaderMode || getURLFromReaderModeURL(tab.url) !== tab.url) {
+        metadata.readerMode = true;
+    }
+    return metadata;
+}
+
+/**
+ * Get the URL of the page that is shown in a reader view tab.
+ *
+ * @export
+ * @param {string} url A tab's URL. For tabs in reader view this is something like `about:reader?url=https%3A%2F%2Fexample.com`.
+ * @returns {string} The URL of the page that is shown in reader view or the provided URL if it isn't a reader view URL.
+ */
+export function getURLFromReaderModeURL(url) {
+    if (!url || !url.startsWith('about:reader?')) {
+        return url;
+    }
+    try {
+        return new URL(url).searchParams.get('url') || url;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Replace placeholders like `{firstTitle}` in a folder title template.
+ *
+ * @export
+ * @param {string} template A folder title with placeholders.
+ * @param {Object<string, string | number>} values Keys are placeholder names and values are the text to insert. Unknown placeholders are left as is.
+ * @returns {string} The folder title.
+ */
+export function fillFolderTitleTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = values[name];
+        return value === undefined || value === null ? placeholder : String(value);
+    });
+}
+
+/**
+ * Get values for the `{date}` and `{time}` placeholders in folder title templates. They are formatted so that they
+ * sort correctly (`2024-03-15` and `14:05`).
+ *
+ * @export
+ * @param {Date} [now] The time to format. Defaults to the current time.
+ * @returns {{ date: string, time: string }} The formatted date and time.
+ */
+export function getDateTimeTemplateValues(now = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return {
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+    };
+}
+
+
 export class TreeInfoNode {
 
     /**
@@ -104,9 +262,10 @@ export class TreeInfoNode {
      * @param {TreeInfoNode[]} [Params.children] Child nodes of this node. If this node has a URL then the children will be child tabs of the current node's tab. Parent properties will be automatically updated.
      * @param {TreeInfoNode | null} [Params.parent] The parent node of this node.
      * @param {Instances} [Params.instances] Instances where this node exists. This can be tab ids or bookmark ids. These will be used with the `addInstances` method.
+     * @param {NodeMetadata} [Params.metadata] Extra info about the tab that this node represents. Must be serializable with JSON.
      * @memberof TreeInfoNode
      */
-    constructor({ title = null, url = null, children = [], parent = null, instances = {} } = {}) {
+    constructor({ title = null, url = null, children = [], parent = null, instances = {}, metadata = {} } = {}) {
         /** @type {string} */
         this._title = title || '';
         /** @type {string} */
@@ -117,6 +276,8 @@ export class TreeInfoNode {
         this._parent = null;
         /** @type {Instances} */
         this._instances = {};
+        /** @type {NodeMetadata} */
+        this._metadata = Object.assign({}, metadata);
 
         this.addInstances(instances);
 
@@ -425,6 +586,16 @@ export class TreeInfoNode {
         this._url = value;
     }
 
+    /**
+     * Extra info about the tab that this node represents. This is included when the node is serialized with `toJSON`.
+     *
+     * @readonly
+     * @memberof TreeInfoNode
+     */
+    get metadata() {
+        return this._metadata;
+    }
+
 
 
     // #region Node manipulations
@@ -670,6 +841,13 @@ export class TreeInfoNode {
      * @param {any} [Config.dontFocusOnNewTabs = false] TODO
      * @param {any} [Config.openAsDiscardedTabs = false] TODO
      * @param {boolean} [Config.fixOpenerIdForInternalUrls] Loaded tabs tabs can't have their openerTabId to an unloaded tab and internal pages must be loaded. So ensure their ancestor tabs are not discarded when created.
+     * @param {boolean} [Config.restoreContainers = false] Open tabs in the containers they were saved from. Containers are found by name and are created if they don't exist.
+     * @param {boolean} [Config.restoreTabStates = false] Pin, mute and open tabs in reader view if they were like that when they were saved. Pinned tabs can't be part of a tree so they won't have any parent and their child tabs will use the pinned tab's parent instead.
+     * @param {boolean} [Config.restoreCollapsedState = false] Collapse the subtrees of opened tabs that were collapsed when they were saved. This is done after all tabs have been opened.
+     * @param {CancellationToken | null} [Config.cancellationToken = null] Stop opening tabs when this token is cancelled. The tabs that were opened before that are still returned.
+     * @param {null | function(OpenTabsProgress): void} [Config.onProgress = null] Called after each tab has been opened or failed to open.
+     * @param {OpenTabsProgress | null} [Config.progress = null] Shares progress between the recursive calls for child nodes. Created by the top most call.
+     * @param {RestoreTransaction | null} [Config.transaction = null] Track opened tabs and Tree Style Tab attach calls. Failing to open a tab or to attach it then rejects the returned promise instead of being ignored.
      * @returns {Promise<BrowserTab[]>} The browser tabs that were opened.
      * @memberof TreeInfoNode
      */
@@ -690,8 +868,33 @@ export class TreeInfoNode {
         dontFocusOnNewTabs = false,
         openAsDiscardedTabs = false,
         fixOpenerIdForInternalUrls = false,
+        restoreContainers = false,
+        restoreTabStates = false,
+        restoreCollapsedState = false,
+        cancellationToken = null,
+        onProgress = null,
+        progress = null,
+        transaction = null,
     } = {}) {
 
+        if (!progress) {
+            progress = {
+                created: 0,
+                failed: 0,
+                total: [this, ...this.descendants].filter(node => node.url).length,
+            };
+        }
+        const reportProgress = () => {
+            if (onProgress) {
+                try {
+                    onProgress(Object.assign({}, progress));
+                } catch (error) {
+                    console.error('Failed to report progress of opened tabs:\n', error);
+                }
+            }
+        };
+        const isCancelled = () => Boolean(cancellationToken && cancellationToken.isCancelled);
+
         let previousActiveTab = null;
         if (focusPreviousTab) {
             const previousDetails = {
@@ -717,8 +920,14 @@ export class TreeInfoNode {
             if (parentTabId || parentTabId === 0) {
                 details.parentTabId = parentTabId;
             }
+            if (windowId || windowId === 0) {
+                details.windowId = windowId;
+            }
             tempTab = await browser.tabs.create(details);
-            await trackedDelay(delayAfterTabOpen());
+            if (transaction) {
+                transaction.addTab(tempTab);
+            }
+            await trackedDelay(delayAfterTabOpen(), cancellationToken);
         }
 
         if (tempTab && groupUnderTempTab) {
@@ -769,7 +978,11 @@ export class TreeInfoNode {
                         details.insertAfter = tabs[index - 1].id;
                     }
 
-                    await browser.runtime.sendMessage(kTST_ID, details);
+                    if (transaction) {
+                        await transaction.attachTab(details);
+                    } else {
+                        await browser.runtime.sendMessage(kTST_ID, details);
+                    }
                 });
             };
         }
@@ -781,22 +994,28 @@ export class TreeInfoNode {
 
         /** @type {null | BrowserTab} */
         let tab = null;
+        /** `true` if the tab was opened with a `about:blank?` URL because its URL couldn't be opened. */
+        let openedFallback = false;
+        /** Pinned tabs can't have parent or child tabs. */
+        const pinned = Boolean(restoreTabStates && this.metadata.pinned);
         try {
 
-            if (this.url) {
+            if (this.url && !isCancelled()) {
 
                 // #region Create Details
 
                 /** @type {Partial<BrowserTab>} */
                 const createDetails = { url: this.url };
 
+                const readerMode = Boolean(restoreTabStates && this.metadata.readerMode);
+
                 let navigationDelay = navigationOfOpenedTabDelay();
                 let navigationURL = null;
 
                 if (createDetails.url) {
                     if (createDetails.url.toLowerCase() === 'about:newtab') {
                         delete createDetails.url;
-                    } else if (navigationDelay >= 0 && createDetails.url !== 'about:blank') {
+                    } else if (navigationDelay >= 0 && createDetails.url !== 'about:blank' && !readerMode) {
                         navigationURL = createDetails.url;
                         createDetails.url = 'about:blank';
                     }
@@ -804,6 +1023,9 @@ export class TreeInfoNode {
 
                 if (
                     openAsDiscardedTabs &&
+                    // Pinned tabs can't be discarded when created and reader view only works for loaded tabs:
+                    !pinned &&
+                    !readerMode &&
                     createDetails.url &&
                     !createDetails.url.toLowerCase().startsWith('about:') &&
                     (!fixOpenerIdForInternalUrls || !this.hasAnyDescendant(node => node.isAboutUrl))
@@ -816,21 +1038,50 @@ export class TreeInfoNode {
                     createDetails.active = false;
                 }
 
-                if (parentTabId && !handleParentId) {
+                if (parentTabId && !handleParentId && !pinned) {
                     createDetails.openerTabId = parentTabId;
                 }
+                if (pinned) {
+                    createDetails.pinned = true;
+                }
+                if (readerMode) {
+                    /** @type {any} */ (createDetails).openInReaderMode = true;
+                }
                 if (windowId || windowId === 0) {
                     createDetails.windowId = windowId;
                 }
 
+                if (restoreContainers && this.metadata.container) {
+                    const cookieStoreId = await getContainerCookieStoreId(this.metadata.container);
+                    if (cookieStoreId) {
+                        createDetails.cookieStoreId = cookieStoreId;
+                    }
+                }
+
                 // #endregion Create Details
 
 
                 // #region Create Tab
 
                 try {
-                    tab = await browser.tabs.create(createDetails);
+                    try {
+                        tab = await browser.tabs.create(createDetails);
+                    } catch (error) {
+                        if (!createDetails.cookieStoreId) {
+                            throw error;
+                        }
+                        // Containers can't be used in private windows and might be disabled:
+                        console.warn(`Failed to open tab in the container "${createDetails.cookieStoreId}" so opening it in the default container instead:\n`, error);
+                        delete createDetails.cookieStoreId;
+                        tab = await browser.tabs.create(createDetails);
+                    }
                 } catch (error) {
+                    if (transaction) {
+                        // All tabs must be opened with their own URL:
+                        transaction.fail({ reason: 'createTab', url: this.url, error });
+                        throw error;
+                    }
+                    openedFallback = true;
                     const previously = structuredClone(createDetails);
                     if (previously.url) {
                         let lastURL = createDetails.url;
@@ -849,31 +1100,61 @@ export class TreeInfoNode {
                     tab = await browser.tabs.create(createDetails);
                 }
                 tabs.push(tab);
+                this.addInstance(TreeInfoNode.instanceTypes.tab, tab.id, tab);
+                if (transaction) {
+                    transaction.addTab(tab);
+                }
+                if (openedFallback) {
+                    progress.failed++;
+                } else {
+                    progress.created++;
+                }
+                reportProgress();
 
                 // #endregion Create Tab
 
 
                 if (navigationURL) {
                     trackedDelay(navigationDelay).finally(async () => {
+                        if (transaction && (transaction.isFailed || isCancelled())) {
+                            // The tab has been closed by a rollback.
+                            return;
+                        }
                         try {
                             await browser.tabs.update(tab.id, { url: navigationURL });
                         } catch (error) {
                             const lastURL = navigationURL;
                             const newURL = `about:blank?${lastURL}`;
                             console.log(`Failed to open "${lastURL}" open "${newURL}" instead.`);
-                            await browser.tabs.update(tab.id, { url: newURL });
+                            progress.created--;
+                            progress.failed++;
+                            reportProgress();
+                            try {
+                                await browser.tabs.update(tab.id, { url: newURL });
+                            } catch (error) {
+                                console.warn(`Failed to navigate the tab with id ${tab.id} to "${newURL}". It might have been closed:\n`, error);
+                            }
                         }
                     });
                 }
 
 
-                await trackedDelay(delayAfterTabOpen());
+                if (restoreTabStates && this.metadata.muted) {
+                    try {
+                        await browser.tabs.update(tab.id, { muted: true });
+                    } catch (error) {
+                        console.error(`Failed to mute restored tab with id ${tab.id}:\n`, error);
+                    }
+                }
+
 
-                if (parentTabId && handleParentId) {
+                await trackedDelay(delayAfterTabOpen(), cancellationToken);
+
+                if (parentTabId && handleParentId && !pinned) {
                     handleParentId(tab, parentTabId);
                 }
                 let shouldDetach = detachIncorrectParentAfterDelay();
-                if (!parentTabId && ((shouldDetach || shouldDetach === 0) && (shouldDetach === true || shouldDetach >= 0))) {
+                if (!parentTabId && !pinned && ((shouldDetach || shouldDetach === 0) && (shouldDetach === true || shouldDetach >= 0))) {
                     const detach = async () => {
                         if (checkAllowedParent) {
                             if (await checkAllowedParent(tab)) {
@@ -897,6 +1178,14 @@ export class TreeInfoNode {
 
         } catch (error) {
             console.log('Failed to create tab!\n', error);
+            if (!tab) {
+                progress.failed++;
+                reportProgress();
+            }
+            if (transaction) {
+                transaction.fail({ reason: tab ? 'unknown' : 'createTab', url: this.url, error });
+                throw error;
+            }
         }
 
         // #endregion Create Tab
@@ -905,11 +1194,13 @@ export class TreeInfoNode {
         // #region Create Child Tabs
 
         for (const node of this.children) {
+            if (isCancelled()) break;
             const childTabs = await node.openAsTabs(
                 Object.assign({}, arguments[0], {
                     handleParentId,
                     handleParentLast: false,
-                    parentTabId: (tab || {}).id || parentTabId,
+                    // Child tabs of pinned tabs will use the pinned tab's parent instead:
+                    parentTabId: (tab && !pinned ? tab.id : null) || parentTabId,
                     windowId: (tab || {}).windowId || windowId,
                     delayAfterTabOpen,
                     navigationOfOpenedTabDelay,
@@ -921,6 +1212,13 @@ export class TreeInfoNode {
                     groupUnderTempTab: false,
                     focusPreviousTab,
                     dontFocusOnNewTabs,
+                    restoreContainers,
+                    restoreTabStates,
+                    restoreCollapsedState: false,
+                    cancellationToken,
+                    onProgress,
+                    progress,
+                    transaction,
                 }));
             tabs.push(...childTabs);
         }
@@ -961,7 +1259,7 @@ export class TreeInfoNode {
                     } catch (error) { }
                 }
 
-                await trackedDelay(delayAfterTabOpen());
+                await trackedDelay(delayAfterTabOpen(), cancellationToken);
             }
 
             try {
@@ -969,9 +1267,38 @@ export class TreeInfoNode {
             } catch (error) { }
         }
 
+        if (restoreCollapsedState) {
+            // Wait until the tree structure is final before collapsing anything:
+            await this.applyCollapsedState();
+        }
+
         return tabs;
     }
 
+    /**
+     * Collapse the Tree Style Tab subtrees of opened tabs whose nodes have the `collapsed` metadata. Only tabs that were opened by `openAsTabs` are affected.
+     *
+     * @returns {Promise<void>}
+     * @memberof TreeInfoNode
+     */
+    async applyCollapsedState() {
+        for (const node of [this, ...this.descendants]) {
+            if (!node.metadata.collapsed || node.children.length === 0) {
+                continue;
+            }
+            for (const tabId of Object.keys(node.instances.tab || {})) {
+                try {
+                    await browser.runtime.sendMessage(kTST_ID, {
+                        type: 'collapse-tree',
+                        tab: parseInt(tabId),
+                    });
+                } catch (error) {
+                    console.error(`Failed to collapse the tree of the restored tab with id ${tabId}:\n`, error);
+                }
+            }
+        }
+    }
+
 
     /**
      * Save tree data as bookmarks.
@@ -981,13 +1308,21 @@ export class TreeInfoNode {
      * @param {string} Params.format A format that specifies how the bookmarks store tree information.
      * @param {string} [Params.folderSuffix=''] If a folder is created then it will have this suffix.
      * @param {string | null} [Params.folderTitle=null] Specify the created folders exact title. The `folderSuffix` won't be added to this title.
+     * @param {string} [Params.folderTitleTemplate=''] A template for the title of the top most created folder. Empty to use the first tab's title. See `getBookmarkFolderTitle`.
+     * @param {Object<string, string | number>} [Params.folderTitleValues={}] Extra values for placeholders in `folderTitleTemplate`.
      * @param {boolean} [Params.inFolder=false] If at least one bookmark is created then ensure that all new bookmarks is placed in a new folder.
      * @param {boolean} [Params.recursive=true] Create bookmarks for child nodes as well as this node.
      * @param {number} [Params.parentCount=0] The number of parent nodes that the current node has.
+     * @param {function(Object): Promise<BookmarkTreeNode>} [Params.bookmarkCreator] Creates bookmarks. Defaults to `browser.bookmarks.create`. Can be used to determine what bookmarks would be created without modifying any bookmarks.
      * @returns {Promise<BookmarkTreeNode[]>} Array of object with info about the bookmarks that were created directly in the specified bookmark folder.
      * @memberof TreeInfoNode
      */
-    async saveAsBookmarks({ parentBookmarkId, format, folderSuffix = '', folderTitle = null, inFolder = false, recursive = true, parentCount = 0 }) {
+    async saveAsBookmarks({ parentBookmarkId, format, folderSuffix = '', folderTitle = null, folderTitleTemplate = '', folderTitleValues = {}, inFolder = false, recursive = true, parentCount = 0, bookmarkCreator = null }) {
+        const bookmarkFormat = getBookmarkFormat(format);
+        if (!bookmarkCreator) {
+            bookmarkCreator = (details) => browser.bookmarks.create(details);
+        }
+
         const bookmarkDetails = {};
         if (parentBookmarkId) {
             bookmarkDetails.parentId = parentBookmarkId;
@@ -996,132 +1331,211 @@ export class TreeInfoNode {
         if (!inFolder && (this.children.length === 0 || !recursive)) {
             // Create a bookmark only for this node's tab.
             if (!this.url) return [];
-            let title = this.title;
-            if (format === TreeInfoNode.bookmarkFormat.titles) {
-                if (parentCount > 0) {
-                    title = '>'.repeat(parentCount) + ' ' + title;
-                } else {
-                    // Check so that the title doesn't already start with something that will be interpreted as tree data.
-                    while (true) {
-                        let removeTo = 0;
-                        for (let iii = 0; iii < title.length; iii++) {
-                            const c = title[iii];
-                            if (c === '>') continue;
-                            if (c === ' ') removeTo = iii;    // Found valid tree data prefix => remove it so that its not parsed as tree data when restoring tabs.
-                            break;
-                        }
-                        if (removeTo > 0)
-                            // Remove tree data prefix and recheck the new title:
-                            title = title.slice(removeTo + 1);
-                        else
-                            // Title doesn't start with valid tree data so its okay to use:
-                            break;
-                    }
-                }
-            }
-            return [await browser.bookmarks.create(Object.assign({ title, url: this.url }, bookmarkDetails))];
+            const title = bookmarkFormat.getBookmarkTitle ? bookmarkFormat.getBookmarkTitle({ node: this, parentCount }) : this.title;
+            return [await bookmarkCreator(Object.assign({ title, url: this.url }, bookmarkDetails))];
         }
         if (!this.url && this.children.length === 1) {
             // If this node is a folder with a single child node then forward the call to the child node.
             return this.children[0].saveAsBookmarks(arguments[0]);
         }
 
-        const bookmarks = [];
-        const getCallInfo = () => ({
-            parentBookmarkId,
+        const getCallInfo = (parentId) => ({
+            parentBookmarkId: parentId,
             folderSuffix,
             format,
             recursive,
             parentCount,
+            bookmarkCreator,
         });
-        const createBookmarks = async () => {
-            const callInfo = getCallInfo();
+        const createBookmark = (details) => {
+            return bookmarkCreator(Object.assign({}, bookmarkDetails, details));
+        };
+        const createFolder = async (parentId = parentBookmarkId) => {
+            let title = folderTitle;
+            if (!title && title !== '') {
+                // Only the top most folder uses the template since `getCallInfo` doesn't forward it:
+                title = this.getBookmarkFolderTitle({ folderSuffix, template: folderTitleTemplate, values: folderTitleValues });
+                if (title === null) {
+                    return null;
+                }
+            }
+            const details = { title };
+            if (parentId) {
+                details.parentId = parentId;
+            }
+            return bookmarkCreator(details);
+        };
+        const saveContent = async (parentId = parentBookmarkId) => {
+            const bookmarks = [];
+            const callInfo = getCallInfo(parentId);
 
             if (this.url) {
                 const parentBookmark = await this.saveAsBookmarks(Object.assign({}, callInfo, { recursive: false }));
-                parentBookmark.forEach(b => { bookmarks.push(b); });
+                bookmarks.push(...parentBookmark);
                 callInfo.parentCount += 1;
             }
             for (const item of this.children) {
                 const childBookmarks = await item.saveAsBookmarks(callInfo);
-                childBookmarks.forEach(b => { bookmarks.push(b); });
+                bookmarks.push(...childBookmarks);
             }
+            return bookmarks;
         };
 
-        if (format === TreeInfoNode.bookmarkFormat.folders || inFolder) {
-            if (!folderTitle && folderTitle !== '') {
-                // Use first tab's title for folder title:
-                folderTitle = this.title;
-                if (!this.url) {
-                    const firstURLNode = this.firstContentNode;
-                    if (!firstURLNode) {
-                        return [];
-                    }
-                    folderTitle = firstURLNode.title;
-                }
-                if (!this.url && this.children.length > 1) {
-                    // If folder with more then one tab then append " and more" or equivalent to title.
-                    folderTitle = browser.i18n.getMessage('bookmark_MultipleTabsTitle', folderTitle);
-                }
-                folderTitle += folderSuffix;
+        if (inFolder && !bookmarkFormat.usesFolders) {
+            const folderBookmark = await createFolder();
+            if (!folderBookmark) {
+                return [];
             }
+            // Folder has been created now save the node as it would normally be saved:
+            await this.saveAsBookmarks(getCallInfo(folderBookmark.id));
+            return [folderBookmark];
+        }
 
-            // Create bookmark folder:
-            const folderBookmark = await browser.bookmarks.create(Object.assign({
-                title: folderTitle,
-            }, bookmarkDetails));
-
-            parentBookmarkId = folderBookmark.id;
-            if (format === TreeInfoNode.bookmarkFormat.folders) {
-                if (this.url) {
-                    // This is a parent tab => Create separator for compatibility with separator format:
-                    const separator = await browser.bookmarks.create({
-                        type: 'separator',
-                        parentId: parentBookmarkId,
-                    });
-                    bookmarks.push(separator);
-                } else {
-                    // This isn't a parent tab => Create an empty folder at the start of the current folder to indicate that all tabs are at the same level:
-                    const topLevelIndicator = await browser.bookmarks.create({
-                        type: 'folder',
-                        parentId: parentBookmarkId,
-                    });
-                    bookmarks.push(topLevelIndicator);
-                }
+        return bookmarkFormat.serialize({
+            node: this,
+            parentBookmarkId,
+            parentCount,
+            createBookmark,
+            createFolder,
+            saveContent,
+        });
+    }
 
-                await createBookmarks();
-            } else {
-                // Folder has been created now save the node as it would normally be saved:
-                await this.saveAsBookmarks(getCallInfo());
-            }
+    /**
+     * Get the title that should be used if a bookmark folder is created for this node.
+     *
+     * The template can contain these placeholders:
+     * - `{firstTitle}`: the title of the first tab.
+     * - `{rootTitle}`: the title of the tree's top most tab or the title that the tree was saved with.
+     * - `{date}` and `{time}`: the current date and time, formatted so that they sort correctly (`2024-03-15` and `14:05`).
+     * - `{tabCount}`: the number of tabs in the tree.
+     * - `{domain}`: the domain of the first tab's URL.
+     * - `{windowTitle}`: the title of the window that the tabs were in. Must be provided with `values`.
+     *
+     * @param {Object} [Params] Parameters.
+     * @param {string} [Params.folderSuffix=''] A suffix to add to the title.
+     * @param {string} [Params.template=''] A template for the title. Empty to use the first tab's title.
+     * @param {Object<string, string | number>} [Params.values={}] Values for placeholders that override or add to the values that are determined from this node.
+     * @returns {string | null} The folder title or `null` if the node doesn't have any content.
+     * @memberof TreeInfoNode
+     */
+    getBookmarkFolderTitle({ folderSuffix = '', template = '', values = {} } = {}) {
+        // Use first tab's title for folder title:
+        let folderTitle = this.title;
+        const firstURLNode = this.url ? this : this.firstContentNode;
+        if (!firstURLNode) {
+            return null;
+        }
+        if (template) {
+            let domain = '';
+            try {
+                domain = new URL(firstURLNode.url).hostname;
+            } catch (error) { }
 
-            return [folderBookmark];
-        } else if (format === TreeInfoNode.bookmarkFormat.separators) {
-            if (this.url) {
-                const separator = await browser.bookmarks.create(Object.assign({
-                    type: 'separator',
-                }, bookmarkDetails));
-                bookmarks.push(separator);
-            }
+            return fillFolderTitleTemplate(template, Object.assign({
+                firstTitle: firstURLNode.title,
+                rootTitle: this.title || firstURLNode.title,
+            }, getDateTimeTemplateValues(), {
+                tabCount: this.count,
+                domain,
+                windowTitle: '',
+            }, values)) + folderSuffix;
+        }
+        if (!this.url) {
+            folderTitle = firstURLNode.title;
+        }
+        if (!this.url && this.children.length > 1) {
+            // If folder with more then one tab then append " and more" or equivalent to title.
+            folderTitle = browser.i18n.getMessage('bookmark_MultipleTabsTitle', folderTitle);
+        }
+        return folderTitle + folderSuffix;
+    }
 
-            await createBookmarks();
 
-            if (this.url) {
-                for (let iii = 0; iii < 2; iii++) {
-                    const separator = await browser.bookmarks.create(Object.assign({
-                        type: 'separator',
-                    }, bookmarkDetails));
-                    bookmarks.push(separator);
-                }
+    // #region JSON
+
+    /**
+     * Serialize this node and its descendants to a JSON compatible object. Instances (tab and bookmark ids) are not included.
+     *
+     * This is used automatically by `JSON.stringify`.
+     *
+     * @returns {TreeInfoNodeJSON} An object that can be deserialized with `TreeInfoNode.fromJSON`.
+     * @memberof TreeInfoNode
+     */
+    toJSON() {
+        /**
+         * @param {TreeInfoNode} node The node to serialize.
+         * @returns {TreeInfoNodeJSONEntry} The node and its descendants as plain objects.
+         */
+        const serializeNode = (node) => {
+            /** @type {TreeInfoNodeJSONEntry} */
+            const entry = {
+                title: node.title,
+                url: node.url,
+                children: node.children.map(serializeNode),
+            };
+            if (Object.keys(node.metadata).length > 0) {
+                entry.metadata = deepCopy(node.metadata);
             }
-        } else if (format === TreeInfoNode.bookmarkFormat.titles) {
-            await createBookmarks();
-        } else
-            throw new Error(`Unsupported bookmark tree structure format: ${format}`);
+            return entry;
+        };
+        return {
+            version: TreeInfoNode.jsonVersion,
+            root: serializeNode(this),
+        };
+    }
+
+    /**
+     * Get a hash of this node and its descendants. Two trees with the same titles, URLs, metadata and structure have
+     * the same hash. Instances (tab and bookmark ids) don't affect the hash.
+     *
+     * @returns {string} The hash as a hexadecimal string.
+     * @memberof TreeInfoNode
+     */
+    getHash() {
+        // 32-bit FNV-1a hash of the serialized tree:
+        const data = JSON.stringify(this);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < data.length; i++) {
+            hash ^= data.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
 
-        return bookmarks;
+    /**
+     * Create a tree of nodes from data that was serialized with `toJSON`.
+     *
+     * @static
+     * @param {TreeInfoNodeJSON | string} json The serialized tree data or a string with that data.
+     * @returns {TreeInfoNode} The root node of the deserialized tree.
+     * @memberof TreeInfoNode
+     */
+    static fromJSON(json) {
+        if (typeof json === 'string') {
+            json = JSON.parse(json);
+        }
+        if (!json || typeof json !== 'object') {
+            throw new Error(`Serialized tree data must be an object but it was: ${json}`);
+        }
+        if (json.version !== TreeInfoNode.jsonVersion) {
+            throw new Error(`Unsupported version for serialized tree data: ${json.version}`);
+        }
+
+        /** @param {TreeInfoNodeJSONEntry} entry Serialized node. */
+        const parseEntry = (entry) => {
+            return new TreeInfoNode({
+                title: entry.title,
+                url: entry.url,
+                metadata: entry.metadata ? deepCopy(entry.metadata) : {},
+                children: Array.isArray(entry.children) ? entry.children.map(parseEntry) : [],
+            });
+        };
+        return parseEntry(json.root);
     }
 
+    // #endregion JSON
+
 
     // #region Static
 
@@ -1196,7 +1610,9 @@ export class TreeInfoNode {
                     // Updated tab object:
                     Object.assign(tab, firefoxTab);
                 }
-                const node = new TreeInfoNode({ title: tab.title, url: tab.url });
+                const metadata = await getTabMetadata(tab);
+                // Store the actual page for reader view tabs so that the bookmark works without reader view:
+                const node = new TreeInfoNode({ title: tab.title, url: getURLFromReaderModeURL(tab.url), metadata });
                 node.addInstance(TreeInfoNode.instanceTypes.tab, tab.id, tab);
                 nodeLookup[tab.id] = node;
                 if (tstTabs !== null) {
@@ -1267,6 +1683,8 @@ export class TreeInfoNode {
      *
      * @typedef {Object} ParseFromBookmarksCommonParams
      * @property {BookmarkFormat} Params.format A format that specifies how the bookmarks store tree information.
+     * @property {boolean} [Params.foldersAsGroupTabs=false] Restore nested bookmark folders as group tabs with the folders' content as child tabs. Ignored for formats that use folders to store tree data.
+     * @property {boolean} [Params.isNested=false] `true` if the bookmark is inside a folder that is also being parsed.
     */
 
     /**
@@ -1277,7 +1695,7 @@ export class TreeInfoNode {
      * @returns {Promise<null|TreeInfoNode>} The parsed tree structure.
      * @memberof TreeInfoNode
      */
-    static async parseFromBookmarks({ bookmarkId = null, rootBookmark = null, format }) {
+    static async parseFromBookmarks({ bookmarkId = null, rootBookmark = null, format, foldersAsGroupTabs = false, isNested = false }) {
         if (bookmarkId && (!rootBookmark || rootBookmark.id !== bookmarkId)) {
             rootBookmark = (await browser.bookmarks.getSubTree(bookmarkId))[0];
         }
@@ -1289,119 +1707,29 @@ export class TreeInfoNode {
         let createdNode = null;
         switch (rootBookmark.type) {
             case 'bookmark': {
+                if (isTreeMetadataBookmark(rootBookmark)) {
+                    // Metadata bookmarks don't represent tabs.
+                    break;
+                }
                 createdNode = new TreeInfoNode({ title: rootBookmark.title, url: rootBookmark.url });
             } break;
 
             case 'folder': {
-                let first = true;
-                let folderFormat_parentFound = false;
-                /** Indicates that the next bookmark that is parsed should be treated as a parent tab. */
-                let isParent = false;
-                let separators = [];
-                let startSeparator = null;
-
+                if (isTreeMetadataBookmark(rootBookmark)) {
+                    // Folders that only contain a metadata bookmark don't represent tabs.
+                    break;
+                }
+                const bookmarkFormat = getBookmarkFormat(format);
                 createdNode = new TreeInfoNode({ title: rootBookmark.title });
-                /** @type {TreeInfoNode[]} Stored bookmark nodes that represent parent tabs for the `parentNode`. The length of this array is equal to the number of ancestors a bookmark's tab would have (plus one extra for the root level group/container). */
-                const parentNodes = [];
-                /** The bookmark node that represents the parent tab for the next parsed bookmark. */
-                let parentNode = createdNode;
-
-                for (const bookmark of rootBookmark.children) {
-                    switch (format) {
-                        case TreeInfoNode.bookmarkFormat.separators: {
-                            if (bookmark.type === 'separator') {
-                                separators.push(bookmark);
-                                continue;
-                            }
-                            if (separators.length > 0) {
-                                while (separators.length >= 2 && parentNodes.length > 0) {
-                                    const endSeparators = [separators.shift(), separators.shift()];
-                                    if (parentNode) {
-                                        for (const separator of endSeparators) {
-                                            parentNode.addInstance(TreeInfoNode.instanceTypes.bookmark, separator.id, separator);
-                                        }
-                                    }
-                                    parentNode = parentNodes.pop();
-                                }
-                                if (separators.length % 2 === 1 && (parentNodes.length === 0 || parentNodes[parentNodes.length - 1] !== parentNode)) {
-                                    parentNodes.push(parentNode);
-                                    isParent = true;
-                                    startSeparator = separators[0];
-                                }
-                                separators = [];
-                            }
-                        } break;
-
-                        case TreeInfoNode.bookmarkFormat.folders: {
-                            // The first bookmark in a folder represents a parent tab unless there was a folder before the first bookmark.
-                            isParent = !folderFormat_parentFound && bookmark.type === 'bookmark';
-
-                            if (bookmark.type === 'folder' || bookmark.type === 'bookmark') {
-                                folderFormat_parentFound = true;
-                            }
-                        } break;
-
-                        case TreeInfoNode.bookmarkFormat.titles: {
-                            if (bookmark.type === 'folder') {
-                                // Ignore folders since Tree Style Tab doesn't restore nested folders.
-                                // Behavior in TST v3.2.1 is actually to open a new tab with tree level 0 where nested folders are found.
-                                continue;
-                            } else if (bookmark.type !== 'bookmark') {
-                                // Must be a bookmark so that it has a title.
-                                continue;
-                            }
-                            // Parse Wanted Tree Level from bookmark's title:
-                            let treeLevel = 0;
-                            for (let iii = 0; iii < bookmark.title.length; iii++) {
-                                const c = bookmark.title[iii];
-                                if (c === '>') continue;
-                                if (c === ' ') treeLevel = iii;
-                                break;
-                            }
-                            // Decrement Current Tree Level:
-                            while (parentNodes.length - 1 > treeLevel) {
-                                parentNode = parentNodes.pop();
-                            }
-                            // Increment Current Tree Level:
-                            while (parentNodes.length - 1 < treeLevel) {
-                                parentNodes.push(parentNode);
-                            }
-                            // Always store the parsed node in the `parentNode` variable since we don't know ahead of time if the bookmark will be a parent (that depends on the next bookmark):
-                            isParent = true;
-                            // Use the last saved parent as the parent for the parsed node:
-                            parentNode = parentNodes[parentNodes.length - 1];
-                        } break;
-
-                        default:
-                            throw new Error(`Unsupported bookmark tree structure format: ${format}`);
-                    }
-
-                    const parsedNode = await TreeInfoNode.parseFromBookmarks({ rootBookmark: bookmark, format });
-
-                    if (parsedNode) {
-                        if (!parsedNode.url) {
-                            // Parsed node was a folder so just add the bookmarks that represent actual tabs as children to the current parent node.
-                            parentNode.addChildren(parsedNode.children);
-                        } else {
-                            parentNode.addChildren(parsedNode);
-                            if (isParent) {
-                                parentNode = parsedNode;
-                                isParent = false;
-                                if (startSeparator) {
-                                    parentNode.addInstance(TreeInfoNode.instanceTypes.bookmark, startSeparator.id, startSeparator);
-                                    startSeparator = null;
-                                }
-                            }
-                            if (format === TreeInfoNode.bookmarkFormat.titles && parentNodes.length > 1) {
-                                // Remove title prefix that is used to store tree data.
-                                parsedNode.title = parsedNode.title.slice(parentNodes.length);
-                            }
-                        }
-                    }
-
-                    if (first) {
-                        first = false;
-                    }
+                await bookmarkFormat.parse({
+                    folderBookmark: rootBookmark,
+                    folderNode: createdNode,
+                    foldersAsGroupTabs,
+                    parseBookmark: (bookmark) => TreeInfoNode.parseFromBookmarks({ rootBookmark: bookmark, format, foldersAsGroupTabs, isNested: true }),
+                });
+                if (isNested && foldersAsGroupTabs && !bookmarkFormat.usesFolders && createdNode.children.length > 0) {
+                    // Represent the folder with a group tab so that its content is opened as child tabs:
+                    createdNode.url = getGroupTabURL({ name: rootBookmark.title });
                 }
             } break;
 
@@ -1424,13 +1752,13 @@ export class TreeInfoNode {
      * @static
      * @param {Object} Params Parameters
      * @param {BookmarkTreeNode} Params.rootBookmark A folder bookmark that should contain bookmarks that were saved with tree data.
-     * @param {null | string[]} [Params.allowedFormats=null] Formats that can be guessed. `null` to guess between all formats.
+     * @param {null | string[]} [Params.allowedFormats=null] Formats that can be guessed. `null` to guess between all registered formats.
      * @returns {BookmarkFormat} The bookmark format that was most likely used to save the tree data.
      * @memberof TreeInfoNode
      */
     static guessBookmarkFormat({ rootBookmark, allowedFormats = null }) {
         if (!allowedFormats || !Array.isArray(allowedFormats)) {
-            allowedFormats = Object.values(TreeInfoNode.bookmarkFormat);
+            allowedFormats = getBookmarkFormats().map(format => format.id);
         }
 
         /** @type { { [P in BookmarkFormat]: BookmarkFormatValidationInfo } } Key: format value. Value: format validation info. */
@@ -1454,11 +1782,7 @@ export class TreeInfoNode {
         let maxScoredFormat = null;
 
         for (const [format, report] of Object.entries(reports)) {
-            const messageMultipliers = {};
-            if (format !== TreeInfoNode.bookmarkFormat.titles) {
-                // This message works best when each relationship requires something that indicates that the format is present.
-                messageMultipliers.parentChildRelationship = 0;
-            }
+            const messageMultipliers = Object.assign({}, getBookmarkFormat(format).guessMultipliers);
 
 
             let score = 0;
@@ -1503,7 +1827,7 @@ export class TreeInfoNode {
      * @param {Object} Params Parameters
      * @param {BookmarkTreeNode} Params.rootBookmark The root bookmark that should be checked to see if it conforms to the tree data format.
      * @param {string} Params.format A format that specifies how the bookmarks store tree information.
-     * @returns {null | BookmarkFormatValidationInfo} Info about the validation of the specified format.
+     * @returns {null | BookmarkFormatValidationInfo} Info about the validation of the specified format. `null` if the format can't be validated.
      * @memberof TreeInfoNode
      */
     static validateBookmarkFormat({ rootBookmark, format }) {
@@ -1535,209 +1859,11 @@ export class TreeInfoNode {
         const error = (type, count = 1) => {
             addMessage(info.errors, type, count);
         };
-        switch (format) {
-            case TreeInfoNode.bookmarkFormat.folders: {
-                /** @param {BookmarkTreeNode} folderBookmark A folder to scan. */
-                const processFolder = (folderBookmark) => {
-                    /** First item might be a separator for compatibility with separator format. */
-                    let first = true;
-                    /** First bookmark is usually the parent tab. */
-                    let firstBookmark = true;
-                    /** If there is a folder before the first bookmark then all tabs should be on the same level. */
-                    let startWithFolder = false;
-                    /** The folder started with a separator item for compatibility with separator format. This is incorrect if the folder starts with a folder. */
-                    let separatorCompatibility = false;
-                    /** Indicates if there was any child tabs connected to the first bookmark. */
-                    let hasChild = false;
-                    for (const bookmark of folderBookmark.children) {
-                        switch (bookmark.type) {
-                            case 'separator': {
-                                if (first) {
-                                    separatorCompatibility = true;
-                                } else {
-                                    warn('separator');
-                                }
-                            } break;
-
-                            case 'bookmark': {
-                                if (!startWithFolder) {
-                                    // This folder's first bookmark is a parent tab!
-                                    if (firstBookmark) {
-                                        // This is the parent tab!
-                                        if (separatorCompatibility) {
-                                            valid('separatorCompatibility');
-                                        }
-                                    } else {
-                                        // This is a child tab!
-                                        valid('parentChildRelationship');
-                                        if (!hasChild) {
-                                            valid('increasedTreeLevel');
-                                            hasChild = true;
-                                        }
-                                    }
-                                }
-                                firstBookmark = false;
-                            } break;
-
-                            case 'folder': {
-                                if (!startWithFolder) {
-                                    if (firstBookmark) {
-                                        startWithFolder = true;
-                                        if (separatorCompatibility) {
-                                            warn('separator');
-                                        }
-                                    } else {
-                                        // The top bookmark in this folder should be a child tab of the current folder's parent tab.
-                                        valid('parentChildRelationship');
-                                        if (!hasChild) {
-                                            valid('increasedTreeLevel');
-                                            hasChild = true;
-                                        }
-                                    }
-                                }
-                                processFolder(bookmark);
-                            } break;
-                        }
-                        first = false;
-                    }
-                    if (firstBookmark) {
-                        warn('emptyFolder');
-                    } else if (!startWithFolder && !hasChild) {
-                        // There was only 1 bookmark (the parent) but we expected at least 2.
-                        warn('emptyTreeLevel');
-                    }
-                };
-                processFolder(rootBookmark);
-            } break;
-
-            case TreeInfoNode.bookmarkFormat.separators: {
-                /** @param {BookmarkTreeNode} folderBookmark A folder to scan. */
-                const processFolder = (folderBookmark) => {
-                    let currentTreeLevel = 0;
-                    let nextIsParent = false;
-                    let hasChild = true;
-                    let hasChildStack = [];
-
-                    let separatorsInRowCount = 0;
-                    const handleSeparators = () => {
-                        if (separatorsInRowCount % 2 === 1) {
-                            nextIsParent = true;
-                        }
-
-                        const endedTreeLevels = Math.floor(separatorsInRowCount / 2);
-                        if (endedTreeLevels > 0) {
-                            if (!hasChild) {
-                                warn('emptyTreeLevel');
-                            }
-                            for (let iii = nextIsParent ? /* Skip the latest tree level since we never pushed a value for it */ 1 : 0; iii < endedTreeLevels; iii++) {
-                                hasChild = hasChildStack.pop() || false;
-                            }
-                        }
-
-                        currentTreeLevel -= endedTreeLevels;
-                        if (currentTreeLevel < 0) {
-                            error('corruptTreeLevels', Math.abs(currentTreeLevel));
-                            currentTreeLevel = 0;
-                        }
-                        if (currentTreeLevel === 0) {
-                            // These are root tabs and don't count as reaching new tree levels.
-                            hasChild = true;
-                        }
-
-                        separatorsInRowCount = 0;
-                    };
-
-                    for (const bookmark of folderBookmark.children) {
-                        if (bookmark.type !== 'separator') {
-                            handleSeparators();
-                        }
-                        switch (bookmark.type) {
-                            case 'separator': {
-                                separatorsInRowCount++;
-                            } break;
-
-                            case 'bookmark': {
-                                if (currentTreeLevel > 0) {
-                                    valid('parentChildRelationship');
-                                }
-                                if (nextIsParent) {
-                                    nextIsParent = false;
-                                    currentTreeLevel++;
-                                    valid('parentDefinition');
-
-                                    // Track wether this parent ever gets any children:
-                                    hasChildStack.push(hasChild);
-                                    hasChild = false;
-                                } else if (!hasChild) {
-                                    valid('increasedTreeLevel');
-                                    hasChild = true;
-                                }
-                            } break;
-
-                            case 'folder': {
-                                if (currentTreeLevel > 0) {
-                                    valid('parentChildRelationship');
-                                }
-                                if (nextIsParent) {
-                                    error('invalidParentDefinition');
-                                } else if (!hasChild) {
-                                    valid('increasedTreeLevel');
-                                    hasChild = true;
-                                }
-                                processFolder(bookmark);
-                            } break;
-                        }
-                    }
-
-                    handleSeparators();
-                    if (currentTreeLevel > 0) {
-                        warn('unendedTreeLevels', currentTreeLevel);
-                    }
-                    if (nextIsParent) {
-                        error('invalidParentDefinition');
-                    }
-                };
-                processFolder(rootBookmark);
-            } break;
-
-            case TreeInfoNode.bookmarkFormat.titles: {
-                // Start on negative number so that the first bookmark is ensured to have tree level 0.
-                let currentTreeLevel = -1;
-                for (const bookmark of rootBookmark.children) {
-                    if (bookmark.type !== 'bookmark') {
-                        if (bookmark.type === 'separator') {
-                            warn('separator');
-                        } else {
-                            error('folder');
-                        }
-                        continue;
-                    }
-
-                    // Parse Wanted Tree Level from bookmark's title:
-                    let treeLevel = 0;
-                    for (let iii = 0; iii < bookmark.title.length; iii++) {
-                        const c = bookmark.title[iii];
-                        if (c === '>') continue;
-                        if (c === ' ') treeLevel = iii;
-                        break;
-                    }
-
-                    if (treeLevel > currentTreeLevel + 1) {
-                        // Can't increase tree level more than one step at a time.
-                        error('corruptTreeLevels');
-                    } else if (currentTreeLevel >= 0 && treeLevel > currentTreeLevel) {
-                        valid('increasedTreeLevel');
-                    }
-                    if (treeLevel > 0) {
-                        valid('parentChildRelationship');
-                    }
-                    currentTreeLevel = treeLevel;
-                }
-            } break;
-
-            default:
-                throw new Error(`Unsupported bookmark tree structure format: ${format}`);
+        const bookmarkFormat = getBookmarkFormat(format);
+        if (!bookmarkFormat.validate) {
+            return null;
         }
+        bookmarkFormat.validate({ rootBookmark, valid, warn, error });
         return info;
     }
 
@@ -1764,9 +1890,16 @@ TreeInfoNode.instanceTypes = Object.freeze({
     tab: 'tab',
 });
 
-/** @typedef { 'bookmarkFolders' | 'bookmarkSeparators' | 'bookmarkTitles' } BookmarkFormat The format used to store tree information using bookmarks. */
 /**
- * The format used to store tree information using bookmarks.
+ * The current version of the data created by `TreeInfoNode.prototype.toJSON`. Increment this when the serialized data is changed in an incompatible way.
+ *
+ * @type {number}
+ */
+TreeInfoNode.jsonVersion = 1;
+
+/** @typedef { 'bookmarkFolders' | 'bookmarkSeparators' | 'bookmarkTitles' | 'bookmarkMetadata' } BookmarkFormat The format used to store tree information using bookmarks. */
+/**
+ * The built-in formats used to store tree information using bookmarks. More formats can be added with `registerBookmarkFormat` from `bookmark-formats.js`.
  */
 TreeInfoNode.bookmarkFormat = Object.freeze({
     /**
@@ -1808,4 +1941,17 @@ TreeInfoNode.bookmarkFormat = Object.freeze({
      */
     // @ts-ignore
     titles: 'bookmarkTitles',
+    /**
+     * This format stores bookmarks the same way as the titles format but also creates a
+     * metadata bookmark after them. The metadata bookmark has a `data:` URL that contains
+     * the whole tree serialized with `TreeInfoNode.prototype.toJSON`, including any extra
+     * info about the tabs that the other formats can't store.
+     *
+     * When parsing, the metadata is only used if the visible bookmarks still match the
+     * stored tree. Otherwise the tree data in the bookmark titles is used instead.
+     *
+     * @type {'bookmarkMetadata'}
+     */
+    // @ts-ignore
+    metadata: 'bookmarkMetadata',
 });
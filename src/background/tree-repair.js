@@ -0,0 +1,328 @@
+'use strict';
+
+import {
+    kTST_ID,
+    getTSTTabs,
+    getDescendantsFromTSTTab,
+} from '../tree-style-tab/utilities.js';
+
+import {
+    delay,
+} from '../common/delays.js';
+
+
+/**
+ * @typedef {import('../background/tree-info-node.js').TreeInfoNode} TreeInfoNode
+ */
+/**
+ * @typedef {import('../tree-style-tab/utilities.js').TSTTab} TSTTab
+ */
+
+
+/**
+ * Where a restored tab should be in Tree Style Tab's tree.
+ *
+ * @typedef {Object} ExpectedTabPlacement
+ * @property {TreeInfoNode} Info.node The node that the tab was opened for.
+ * @property {number} Info.tabId The id of the tab.
+ * @property {number | null} Info.parentTabId The restored tab that should be the tab's parent. `null` if no restored tab should be its parent.
+ * @property {number | null} Info.previousSiblingTabId The restored tab that should be right before this tab among its siblings. `null` if the tab should be the first restored sibling.
+ */
+null;
+
+/**
+ * A difference between where a restored tab is and where it should be.
+ * - `closed`: the tab has been closed or Tree Style Tab doesn't know about it.
+ * - `parent`: the tab has the wrong parent tab.
+ * - `order`: the tab has the wrong position among its siblings.
+ *
+ * @typedef {Object} TabPlacementProblem
+ * @property {ExpectedTabPlacement} Info.placement Where the tab should be.
+ * @property {'closed' | 'parent' | 'order'} Info.problem What is wrong.
+ * @property {number | null} [Info.actualParentTabId] The tab's current parent.
+ * @property {number | null} [Info.previousSiblingTabId] The restored tab that the tab should be placed after. Unlike the placement's previous sibling this ignores closed tabs and top most tabs that have kept a parent that wasn't restored.
+ */
+null;
+
+
+// #region Expected Tree
+
+/**
+ * Get the tab that was opened for a node.
+ *
+ * @param {TreeInfoNode} node A node that might have been restored.
+ * @param {Set<number>} restoredTabIds The ids of the tabs that were opened.
+ * @returns {number | null} The id of the node's restored tab or `null` if no tab was opened for it.
+ */
+function getRestoredTabId(node, restoredTabIds) {
+    for (const tabId of Object.keys(node.instances.tab || {})) {
+        if (restoredTabIds.has(parseInt(tabId))) {
+            return parseInt(tabId);
+        }
+    }
+    return null;
+}
+
+/**
+ * Find where each restored tab should be in Tree Style Tab's tree. Pinned tabs can't be part of a tree so they are
+ * ignored and their children should have the pinned tab's parent instead.
+ *
+ * @export
+ * @param {TreeInfoNode} rootNode The tree that was restored.
+ * @param {number[]} restoredTabIds The ids of the tabs that were opened.
+ * @returns {ExpectedTabPlacement[]} The expected placement of the restored tabs in the order they should have in the tab bar.
+ */
+export function getExpectedTabPlacements(rootNode, restoredTabIds) {
+    const tabIds = new Set(restoredTabIds);
+    /** @type {ExpectedTabPlacement[]} */
+    const placements = [];
+    /** @type {Map<number | null, number>} The last child that was found for each parent. */
+    const lastChildTabIds = new Map();
+
+    /**
+     * @param {TreeInfoNode} node The node to check.
+     * @param {number | null} parentTabId The restored tab that the node's tab should be a child of.
+     */
+    const visit = (node, parentTabId) => {
+        const tabId = getRestoredTabId(node, tabIds);
+        let childParentTabId = parentTabId;
+        if (tabId !== null) {
+            const tab = node.instances.tab[tabId];
+            if (!tab || !tab.pinned) {
+                placements.push({
+                    node,
+                    tabId,
+                    parentTabId,
+                    previousSiblingTabId: lastChildTabIds.has(parentTabId) ? lastChildTabIds.get(parentTabId) : null,
+                });
+                lastChildTabIds.set(parentTabId, tabId);
+                childParentTabId = tabId;
+            }
+        }
+        for (const child of node.children) {
+            visit(child, childParentTabId);
+        }
+    };
+    visit(rootNode, null);
+
+    return placements;
+}
+
+// #endregion Expected Tree
+
+
+// #region Compare
+
+/**
+ * Compare Tree Style Tab's tree with where the restored tabs should be.
+ *
+ * @param {ExpectedTabPlacement[]} placements Where the restored tabs should be.
+ * @param {boolean} allowNonCreatedParent Allow top most restored tabs to have tabs that weren't restored as parents.
+ * @returns {Promise<{ problems: TabPlacementProblem[], tstTabs: Map<number, TSTTab> }>} The tabs that are in the wrong place and the current state of the restored tabs.
+ */
+async function findTabPlacementProblems(placements, allowNonCreatedParent) {
+    const restoredTabIds = new Set(placements.map(placement => placement.tabId));
+    /** @type {TSTTab[]} */
+    const tabs = await getTSTTabs(placements.map(placement => placement.tabId));
+    /** @type {Map<number, TSTTab>} */
+    const tstTabs = new Map();
+    for (const tab of tabs) {
+        if (tab) {
+            tstTabs.set(tab.id, tab);
+        }
+    }
+
+    /**
+     * @param {TSTTab} tab A tab from Tree Style Tab.
+     * @returns {number | null} The id of the tab's parent.
+     */
+    const getParentTabId = (tab) => tab.ancestorTabIds && tab.ancestorTabIds.length > 0 ? tab.ancestorTabIds[0] : null;
+
+    // Restored top most tabs that don't have any parent:
+    const topMostPlacements = placements.filter(placement => placement.parentTabId === null && tstTabs.has(placement.tabId) && getParentTabId(tstTabs.get(placement.tabId)) === null);
+    // In the order they have in the tab bar:
+    const topMostTabIds = topMostPlacements
+        .map(placement => tstTabs.get(placement.tabId))
+        .sort((a, b) => a.index - b.index)
+        .map(tab => tab.id);
+
+    /**
+     * @param {ExpectedTabPlacement} placement Where a tab should be.
+     * @returns {number | null} The tab that should be right before it among the siblings that can be compared.
+     */
+    const getExpectedPreviousSiblingTabId = (placement) => {
+        const siblings = placement.parentTabId === null ?
+            topMostPlacements :
+            placements.filter(sibling => sibling.parentTabId === placement.parentTabId && tstTabs.has(sibling.tabId));
+        const index = siblings.indexOf(placement);
+        return index > 0 ? siblings[index - 1].tabId : null;
+    };
+
+    /** @type {TabPlacementProblem[]} */
+    const problems = [];
+    for (const placement of placements) {
+        const tab = tstTabs.get(placement.tabId);
+        if (!tab) {
+            problems.push({ placement, problem: 'closed' });
+            continue;
+        }
+
+        const actualParentTabId = getParentTabId(tab);
+        const previousSiblingTabId = getExpectedPreviousSiblingTabId(placement);
+        if (placement.parentTabId !== null) {
+            if (actualParentTabId !== placement.parentTabId) {
+                problems.push({ placement, problem: 'parent', actualParentTabId, previousSiblingTabId });
+                continue;
+            }
+        } else if (actualParentTabId !== null && (restoredTabIds.has(actualParentTabId) || !allowNonCreatedParent)) {
+            problems.push({ placement, problem: 'parent', actualParentTabId, previousSiblingTabId });
+            continue;
+        }
+
+        /** @type {number[]} */
+        let siblingTabIds;
+        if (placement.parentTabId !== null) {
+            const parentTab = tstTabs.get(placement.parentTabId);
+            if (!parentTab) continue;
+            siblingTabIds = (parentTab.children || []).map(child => child.id).filter(id => restoredTabIds.has(id));
+        } else if (actualParentTabId === null) {
+            siblingTabIds = topMostTabIds;
+        } else {
+            // Kept a parent that wasn't restored so its position isn't decided by the restored tree.
+            continue;
+        }
+        const index = siblingTabIds.indexOf(placement.tabId);
+        const actualPreviousSiblingTabId = index > 0 ? siblingTabIds[index - 1] : null;
+        if (actualPreviousSiblingTabId !== previousSiblingTabId) {
+            problems.push({ placement, problem: 'order', actualParentTabId, previousSiblingTabId });
+        }
+    }
+    return { problems, tstTabs };
+}
+
+// #endregion Compare
+
+
+// #region Repair
+
+/**
+ * Send a message to Tree Style Tab that moves a restored tab closer to where it should be.
+ *
+ * @param {TabPlacementProblem} problem What is wrong with the tab's placement.
+ * @param {Map<number, TSTTab>} tstTabs The current state of the restored tabs.
+ * @returns {Promise<boolean>} `true` if a message was sent.
+ */
+async function fixTabPlacement({ placement, problem, previousSiblingTabId }, tstTabs) {
+    const { tabId, parentTabId } = placement;
+    if (problem === 'closed') return false;
+
+    if (parentTabId !== null) {
+        if (!tstTabs.has(parentTabId)) return false;
+        const details = {
+            type: 'attach',
+            parent: parentTabId,
+            child: tabId,
+        };
+        if (previousSiblingTabId !== null && previousSiblingTabId !== undefined) {
+            details.insertAfter = previousSiblingTabId;
+        } else {
+            const firstChild = (tstTabs.get(parentTabId).children || [])[0];
+            if (firstChild && firstChild.id !== tabId) {
+                details.insertBefore = firstChild.id;
+            }
+        }
+        await browser.runtime.sendMessage(kTST_ID, details);
+        return true;
+    }
+
+    if (problem === 'parent') {
+        await browser.runtime.sendMessage(kTST_ID, {
+            type: 'detach',
+            tab: tabId,
+        });
+        return true;
+    }
+
+    // Wrong order among top most tabs:
+    if (previousSiblingTabId !== null && previousSiblingTabId !== undefined) {
+        const previousSibling = tstTabs.get(previousSiblingTabId);
+        if (!previousSibling) return false;
+        // Move after the previous sibling's descendants so that the tab isn't attached to any of them:
+        const descendants = getDescendantsFromTSTTab(previousSibling);
+        const lastTab = descendants.reduce((last, tab) => tab.index > last.index ? tab : last, previousSibling);
+        await browser.runtime.sendMessage(kTST_ID, {
+            type: 'move-after',
+            tab: tabId,
+            referenceTabId: lastTab.id,
+            followChildren: true,
+        });
+    } else {
+        const firstTab = Array.from(tstTabs.values())
+            .filter(tab => tab.id !== tabId && (!tab.ancestorTabIds || tab.ancestorTabIds.length === 0))
+            .reduce((first, tab) => !first || tab.index < first.index ? tab : first, null);
+        if (!firstTab) return false;
+        await browser.runtime.sendMessage(kTST_ID, {
+            type: 'move-before',
+            tab: tabId,
+            referenceTabId: firstTab.id,
+            followChildren: true,
+        });
+    }
+    return true;
+}
+
+/**
+ * Check that Tree Style Tab's tree for restored tabs matches the tree they were restored from and try to fix any
+ * differences. Tabs that can't be fixed are logged.
+ *
+ * @export
+ * @param {Object} Params Parameters.
+ * @param {TreeInfoNode} Params.rootNode The tree that was restored.
+ * @param {number[]} Params.restoredTabIds The ids of the tabs that were opened.
+ * @param {boolean} [Params.allowNonCreatedParent] Allow top most restored tabs to have tabs that weren't restored as parents.
+ * @param {number} [Params.maxAttempts] The number of times to try to fix the tree.
+ * @param {number} [Params.delayBetweenAttempts] Time in milliseconds to wait for Tree Style Tab to update its tree after changes.
+ * @returns {Promise<{ fixCount: number, unfixed: TabPlacementProblem[] }>} The number of messages that were sent to Tree Style Tab and the tabs that are still in the wrong place.
+ */
+export async function repairRestoredTabTree({ rootNode, restoredTabIds, allowNonCreatedParent = false, maxAttempts = 3, delayBetweenAttempts = 250 }) {
+    const placements = getExpectedTabPlacements(rootNode, restoredTabIds);
+    if (placements.length === 0) {
+        return { fixCount: 0, unfixed: [] };
+    }
+
+    let fixCount = 0;
+    /** @type {TabPlacementProblem[]} */
+    let problems = [];
+    for (let attempt = 0; ; attempt++) {
+        const found = await findTabPlacementProblems(placements, allowNonCreatedParent);
+        problems = found.problems;
+        if (problems.length === 0 || attempt >= maxAttempts) break;
+
+        let sentAny = false;
+        for (const problem of problems) {
+            try {
+                if (await fixTabPlacement(problem, found.tstTabs)) {
+                    sentAny = true;
+                    fixCount++;
+                }
+            } catch (error) {
+                console.error(`Failed to fix the position of the restored tab with id ${problem.placement.tabId}:\n`, error);
+            }
+        }
+        if (!sentAny) break;
+        await delay(delayBetweenAttempts);
+    }
+
+    for (const { placement, problem, actualParentTabId, previousSiblingTabId } of problems) {
+        console.warn(
+            `Failed to fix the tree structure for the restored tab with id ${placement.tabId} (problem: ${problem}).`,
+            '\nExpected parent tab id: ', placement.parentTabId,
+            '\nActual parent tab id: ', actualParentTabId,
+            '\nExpected previous sibling tab id: ', previousSiblingTabId,
+            '\nNode: ', { title: placement.node.title, url: placement.node.url },
+        );
+    }
+    return { fixCount, unfixed: problems };
+}
+
+// #endregion Repair
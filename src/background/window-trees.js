@@ -0,0 +1,265 @@
+'use strict';
+
+import {
+    RequestManager,
+} from '../common/delays.js';
+
+import {
+    EventManager,
+} from '../common/events.js';
+
+
+/**
+ * @typedef {import('../background/tree-info-node.js').TreeInfoNode} TreeInfoNode
+ */
+/**
+ * @typedef {import('../common/utilities.js').BrowserWindow} BrowserWindow
+ */
+
+
+/**
+ * The latest known tree of a window.
+ *
+ * @typedef {Object} TrackedWindowTree
+ * @property {BrowserWindow} Info.window Info about the window from when the tree was last updated.
+ * @property {TreeInfoNode} Info.rootNode The root of the window's tab tree.
+ */
+null;
+
+
+/**
+ * Keeps the tab tree of each window in memory so that it is still known after the window has been closed. Trees are
+ * updated a while after their tabs have changed.
+ *
+ * @class WindowTreeTracker
+ */
+export class WindowTreeTracker {
+
+    /**
+     * Creates an instance of WindowTreeTracker.
+     *
+     * @param {Object} Params Parameters.
+     * @param {function(BrowserWindow): Promise<TreeInfoNode | null>} Params.getWindowTree Get the tab tree of a window. The window has its tabs populated. Return `null` if the window shouldn't be tracked.
+     * @param {number | function(): number} [Params.delay] The time in milliseconds to wait after the latest change to tabs before trees are updated.
+     * @memberof WindowTreeTracker
+     */
+    constructor({ getWindowTree, delay = 1000 }) {
+        this._getWindowTree = getWindowTree;
+        this._isDisposed = false;
+        this._isTracking = false;
+
+        /** @type {Map<number, TrackedWindowTree>} */
+        this._trees = new Map();
+        /** @type {Set<number>} Windows whose trees should be updated. */
+        this._changedWindowIds = new Set();
+        /** @type {Map<number, Set<number>>} The ids of tabs that were removed from each window since its tree was last updated. */
+        this._removedTabIds = new Map();
+
+        /** @type {EventManager<[number, TrackedWindowTree]>} */
+        this._onWindowClosed = new EventManager();
+        /** @type {EventManager<[number, TrackedWindowTree, number[]]>} */
+        this._onTabsRemoved = new EventManager();
+
+        this._updateManager = new RequestManager(() => this._updateChangedWindows(), delay);
+
+        this._onTabChangedCallback = (tab) => this.queueUpdate(tab.windowId);
+        this._onTabRemovedCallback = (tabId, removeInfo) => {
+            // Keep the last known tree of windows that are closing:
+            if (removeInfo.isWindowClosing) return;
+            this.queueUpdate(removeInfo.windowId);
+        };
+        this._onTabMovedCallback = (tabId, moveInfo) => this.queueUpdate(moveInfo.windowId);
+        this._onTabAttachedCallback = (tabId, attachInfo) => this.queueUpdate(attachInfo.newWindowId);
+        this._onTabDetachedCallback = (tabId, detachInfo) => this.queueUpdate(detachInfo.oldWindowId);
+        this._onTabUpdatedCallback = (tabId, changeInfo, tab) => {
+            if ('url' in changeInfo || 'title' in changeInfo || 'pinned' in changeInfo || 'mutedInfo' in changeInfo) {
+                this.queueUpdate(tab.windowId);
+            }
+        };
+        this._onWindowCreatedCallback = (window) => this.queueUpdate(window.id);
+        this._onWindowRemovedCallback = (windowId) => this._handleWindowRemoved(windowId);
+    }
+
+    _setListening(listening) {
+        /** @type {[any, Function][]} */
+        const listeners = [
+            [browser.tabs.onCreated, this._onTabChangedCallback],
+            [browser.tabs.onRemoved, this._onTabRemovedCallback],
+            [browser.tabs.onMoved, this._onTabMovedCallback],
+            [browser.tabs.onAttached, this._onTabAttachedCallback],
+            [browser.tabs.onDetached, this._onTabDetachedCallback],
+            [browser.tabs.onUpdated, this._onTabUpdatedCallback],
+            [browser.windows.onCreated, this._onWindowCreatedCallback],
+            [browser.windows.onRemoved, this._onWindowRemovedCallback],
+        ];
+        for (const [event, callback] of listeners) {
+            if (listening) {
+                event.addListener(callback);
+            } else {
+                event.removeListener(callback);
+            }
+        }
+    }
+
+    /**
+     * Update the tree of a window once no more changes have happened for a while. Should be called when something
+     * happens that the tab events don't cover, for example when Tree Style Tab changes the tree structure.
+     *
+     * @param {number | null} [windowId] The id of the window that changed. `null` to update all windows.
+     * @memberof WindowTreeTracker
+     */
+    queueUpdate(windowId = null) {
+        if (this.isDisposed || !this._isTracking) return;
+        if (windowId === null || windowId === undefined) {
+            for (const id of this._trees.keys()) {
+                this._changedWindowIds.add(id);
+            }
+        } else {
+            this._changedWindowIds.add(windowId);
+        }
+        // Restart the wait so that the update happens after the latest change:
+        this._updateManager.block();
+        this._updateManager.invalidate();
+    }
+
+    /**
+     * Remember that a tab was removed so that the `onTabsRemoved` event is fired with the window's previous tree before
+     * the tree is updated. Tabs that are removed because their window is closing shouldn't be recorded.
+     *
+     * @param {number} windowId The id of the window that the tab was in.
+     * @param {number} tabId The id of the removed tab.
+     * @memberof WindowTreeTracker
+     */
+    recordRemovedTab(windowId, tabId) {
+        if (this.isDisposed || !this._isTracking) return;
+        let tabIds = this._removedTabIds.get(windowId);
+        if (!tabIds) {
+            tabIds = new Set();
+            this._removedTabIds.set(windowId, tabIds);
+        }
+        tabIds.add(tabId);
+        this.queueUpdate(windowId);
+    }
+
+    async _updateChangedWindows() {
+        const windowIds = Array.from(this._changedWindowIds);
+        this._changedWindowIds.clear();
+        for (const windowId of windowIds) {
+            if (this.isDisposed || !this._isTracking) return;
+            await this._updateWindow(windowId);
+        }
+    }
+
+    async _updateWindow(windowId) {
+        const removedTabIds = this._removedTabIds.get(windowId);
+        this._removedTabIds.delete(windowId);
+        const previousTree = this._trees.get(windowId);
+        if (removedTabIds && previousTree) {
+            this._onTabsRemoved.fire(windowId, previousTree, Array.from(removedTabIds));
+        }
+
+        /** @type {BrowserWindow} */
+        let window;
+        try {
+            window = await browser.windows.get(windowId, { populate: true });
+        } catch (error) {
+            // The window was closed.
+            return;
+        }
+        if (window.type && window.type !== 'normal') return;
+
+        let rootNode = null;
+        try {
+            rootNode = await this._getWindowTree(window);
+        } catch (error) {
+            console.error(`Failed to get the tab tree of the window with id ${windowId}:\n`, error);
+            return;
+        }
+        if (!this._isTracking) return;
+        if (rootNode) {
+            this._trees.set(windowId, { window, rootNode });
+        } else {
+            this._trees.delete(windowId);
+        }
+    }
+
+    _handleWindowRemoved(windowId) {
+        this._changedWindowIds.delete(windowId);
+        this._removedTabIds.delete(windowId);
+        const tree = this._trees.get(windowId);
+        if (!tree) return;
+        this._trees.delete(windowId);
+        this._onWindowClosed.fire(windowId, tree);
+    }
+
+    /**
+     * `true` to keep track of the trees of all normal windows. The trees of all open windows are found when tracking is
+     * started and forgotten when it is stopped.
+     *
+     * @type {boolean}
+     * @memberof WindowTreeTracker
+     */
+    get isTracking() {
+        return this._isTracking;
+    }
+    set isTracking(value) {
+        value = Boolean(value);
+        if (this.isDisposed || this._isTracking === value) return;
+        this._isTracking = value;
+        this._setListening(value);
+
+        if (value) {
+            browser.windows.getAll({ windowTypes: ['normal'] }).then((windows) => {
+                for (const window of windows) {
+                    this.queueUpdate(window.id);
+                }
+            }).catch(error => console.error('Failed to get windows from Firefox.\nError:\n', error));
+        } else {
+            this._trees.clear();
+            this._changedWindowIds.clear();
+            this._removedTabIds.clear();
+        }
+    }
+
+    /**
+     * The latest known tree of a window.
+     *
+     * @param {number} windowId The id of the window.
+     * @returns {TrackedWindowTree | null} The window's tree or `null` if it isn't known.
+     * @memberof WindowTreeTracker
+     */
+    getTree(windowId) {
+        return this._trees.get(windowId) || null;
+    }
+
+    /**
+     * An event that is fired when a window has been closed. Listeners get the window's id and its latest known tree.
+     *
+     * @readonly
+     * @memberof WindowTreeTracker
+     */
+    get onWindowClosed() {
+        return this._onWindowClosed.subscriber;
+    }
+
+    /**
+     * An event that is fired before a window's tree is updated if tabs were recorded as removed from it. Listeners get
+     * the window's id, its tree from before the tabs were removed and the ids of the removed tabs.
+     *
+     * @readonly
+     * @memberof WindowTreeTracker
+     */
+    get onTabsRemoved() {
+        return this._onTabsRemoved.subscriber;
+    }
+
+    dispose() {
+        if (this.isDisposed) return;
+        this.isTracking = false;
+        this._isDisposed = true;
+        this._updateManager.dispose();
+    }
+    get isDisposed() {
+        return this._isDisposed;
+    }
+}
@@ -0,0 +1,50 @@
+'use strict';
+
+
+/**
+ * Describes a built-in format that determines how tree data is stored in bookmarks. This module has no dependencies so
+ * that pages can list the formats without loading the code that reads and writes bookmarks.
+ *
+ * @typedef {Object} BookmarkFormatDescription
+ * @property {string} Info.id The value used to identify the format in settings.
+ * @property {string} Info.titleMessage The i18n message name for the format's name.
+ * @property {string} Info.infoMessage The i18n message name for a description of the format. The message should start with ": " since it will be shown after the name.
+ */
+null;
+
+
+/**
+ * The built-in bookmark formats. The ids are the values of `TreeInfoNode.bookmarkFormat`.
+ */
+export const bookmarkFormatDescriptions = Object.freeze({
+    folders: Object.freeze({
+        id: 'bookmarkFolders',
+        titleMessage: 'options_bookmarkFormat_bookmarkFolders',
+        infoMessage: 'options_bookmarkFormat_info_bookmarkFolders',
+    }),
+    separators: Object.freeze({
+        id: 'bookmarkSeparators',
+        titleMessage: 'options_bookmarkFormat_bookmarkSeparators',
+        infoMessage: 'options_bookmarkFormat_info_bookmarkSeparators',
+    }),
+    titles: Object.freeze({
+        id: 'bookmarkTitles',
+        titleMessage: 'options_bookmarkFormat_bookmarkTitles',
+        infoMessage: 'options_bookmarkFormat_info_bookmarkTitles',
+    }),
+    metadata: Object.freeze({
+        id: 'bookmarkMetadata',
+        titleMessage: 'options_bookmarkFormat_bookmarkMetadata',
+        infoMessage: 'options_bookmarkFormat_info_bookmarkMetadata',
+    }),
+});
+
+/**
+ * Get the built-in bookmark formats in the order that they are registered in.
+ *
+ * @export
+ * @returns {BookmarkFormatDescription[]} The built-in formats.
+ */
+export function getBookmarkFormatDescriptions() {
+    return Object.values(bookmarkFormatDescriptions);
+}
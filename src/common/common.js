@@ -19,13 +19,19 @@ import {
 } from '../common/settings.js';
 
 import {
-    TreeInfoNode,
-} from '../background/tree-info-node.js';
+    bookmarkFormatDescriptions,
+} from '../common/bookmark-format-descriptions.js';
 
 
 /**
  * @typedef {import('../background/tree-info-node.js').BookmarkFormat} BookmarkFormat
  */
+/**
+ * @typedef {import('../ui/setting-overrides.js').SettingOverridesEntry} SettingOverridesEntry
+ */
+/**
+ * @typedef {import('../common/delays.js').CancellationToken} CancellationToken
+ */
 
 
 /** The values that the `type` property can have for this extension's internal messages. */
@@ -34,6 +40,12 @@ export const messageTypes = Object.freeze({
     privacyPermissionChanged: 'privacyPermissionChanged',
     /** Get privacy info from background page. */
     privacyPermission: 'privacyPermission',
+    /** Sent by a dialog page to get the info that the background page provided for it. */
+    dialogData: 'dialogData',
+    /** Sent by a dialog page to ask the background page for something while the dialog is open. */
+    dialogMessage: 'dialogMessage',
+    /** Sent by a dialog page, for example the restore preview, when the user has made a choice or cancelled. */
+    dialogResult: 'dialogResult',
 });
 
 
@@ -49,23 +61,37 @@ export function getDefaultSettings() {
         hasTSTContextMenu: true,
         hasMTHContextMenu: true,
         hasMigrateContextMenu: false,
+        hasUpdateSavedTreeContextMenu: false,
+        hasSyncSavedTreeContextMenu: false,
+        hasStashTreeContextMenu: false,
+        hasSnapshotSessionContextMenu: false,
 
         customBookmarkTreeContextMenuLabel: '',
         customRestoreTreeContextMenuLabel: '',
         customTSTContextMenuLabel: '',
         customMTHContextMenuLabel: '',
         customMigrateContextMenuLabel: '',
+        customUpdateSavedTreeContextMenuLabel: '',
+        customSyncSavedTreeContextMenuLabel: '',
+        customStashTreeContextMenuLabel: '',
+        customUnstashTreeContextMenuLabel: '',
+        customSnapshotSessionContextMenuLabel: '',
         customTopLevelBookmarkContextMenuLabel: '',
 
+        /** @type {SettingOverridesEntry[]} Extra ways to restore trees that are shown in a submenu on bookmarks. Each variant overrides some of the settings for restoring trees. */
+        restoreTreeVariants: [],
+        /** @type {SettingOverridesEntry[]} Extra ways to bookmark trees that are shown in submenus in the tab context menu and Tree Style Tab's context menu and as extra commands in Multiple Tab Handler. Each variant overrides some of the settings for bookmarking trees. */
+        bookmarkTreeVariants: [],
+
         // #endregion Context Menu
 
 
         // #region Change Tree Data Format
 
         /** @type { BookmarkFormat | 'auto' } */
-        migrateTreeData_fromBookmarkFormat: TreeInfoNode.bookmarkFormat.separators,
+        migrateTreeData_fromBookmarkFormat: bookmarkFormatDescriptions.separators.id,
         /** @type { BookmarkFormat } */
-        migrateTreeData_toBookmarkFormat: TreeInfoNode.bookmarkFormat.titles,
+        migrateTreeData_toBookmarkFormat: bookmarkFormatDescriptions.titles.id,
         /** @type { string } */
         migrateTreeData_removeSuffix: browser.i18n.getMessage('bookmark_DefaultTSTSuffix'),
         /** @type { string } */
@@ -92,20 +118,110 @@ export function getDefaultSettings() {
          * their `openerTabId` set to a discarded tab and internal pages can't
          * be opened as discarded. */
         openAsDiscardedTabs_fixOpenerTabIdForInternalFirefoxUrls: true,
+        /** Collapse restored trees that were collapsed when they were bookmarked. Only bookmark formats that store extra tab info can remember this. */
+        restoreCollapsedState: true,
+        /** Open tabs in the containers they were bookmarked from. Containers are found by name and created if they are missing. Only bookmark formats that store extra tab info can remember this. */
+        restoreContainers: true,
+        /** Pin, mute and open tabs in reader view if they were like that when they were bookmarked. Only bookmark formats that store extra tab info can remember this. */
+        restoreTabStates: true,
+        /** Restore trees into a new window instead of the current window. */
+        restoreTreeInNewWindow: false,
+        /** Give new windows the same size and position as the window that the tree was bookmarked from. */
+        restoreWindowGeometry: true,
+        /** The number of tree levels below the top most tabs to restore. Negative to restore all tabs. */
+        restoreTreeMaxDepth: -1,
+        /** Show a page where the tabs to restore, the target window and if tabs should be unloaded can be chosen before a tree is restored. */
+        restoreTreeShowPreview: false,
+        /** Show a window with the restore progress and a cancel button when opening more than this many tabs. (negative to never show it.) */
+        restoreTreeShowProgressWhenMoreThan: -1,
+        /** Close all restored tabs if some of them can't be opened or if the restore is cancelled. */
+        restoreTreeAllOrNothing: false,
+        /** Compare Tree Style Tab's tree with the restored tree after tabs have been opened and move tabs that have the wrong parent or position. */
+        restoreTreeVerifyStructure: false,
 
         // #endregion Options for opening tabs
 
 
         /** A suffix that should be added to bookmark folders that were created by this extension. */
         bookmarkSuffix: browser.i18n.getMessage('bookmark_DefaultTSTSuffix'),
+        /** A template for the title of bookmark folders that are created when bookmarking or migrating trees. Supports placeholders like `{firstTitle}` and `{date}`. Empty to use the first tab's title. */
+        bookmarkFolderTitleTemplate: '',
+        /** The id of the bookmark folder where bookmarked trees are saved. Empty to use the browser's default location ("Other Bookmarks"). */
+        bookmarkTreeDestinationFolderId: '',
+        /** Open a window where the user can select which bookmark folder to use every time a tree is bookmarked. */
+        bookmarkTreeAskForDestinationFolder: false,
+        /** Show a page where the tree can be edited and the created bookmarks can be previewed before a tree is bookmarked. */
+        bookmarkTreeShowPreview: false,
+        /** The number of tree levels below the selected tab to bookmark. Negative to bookmark all descendants. */
+        bookmarkTreeMaxDepth: -1,
+        /** A template for the title of the folder that contains a bookmarked session's window folders. Supports the `{date}`, `{time}`, `{windowCount}` and `{tabCount}` placeholders. Empty to use a default template. */
+        sessionFolderTitleTemplate: '',
+
+
+        // #region Automatic Session Snapshots
+
+        /** Bookmark the tab trees of all windows at regular intervals. */
+        autoSnapshotEnabled: false,
+        /** The time between automatic snapshots. Zero to only take snapshots when the browser is started. */
+        autoSnapshotIntervalMinutes: 60,
+        /** Take a snapshot soon after the browser has started. */
+        autoSnapshotOnStartup: true,
+        /** The id of the bookmark folder that automatic snapshots are saved in. Empty to create a new "Tree backups" folder. */
+        autoSnapshotFolderId: '',
+        /** Include the tab trees of private windows in automatic snapshots. */
+        autoSnapshotIncludePrivateWindows: false,
+        /** The number of the newest automatic snapshots that are always kept. Negative to never remove any snapshots. */
+        autoSnapshotKeepLast: 10,
+        /** Keep the newest automatic snapshot of each day for this many days. */
+        autoSnapshotKeepDailyForDays: 7,
+        /** Keep the newest automatic snapshot of each week for this many weeks. */
+        autoSnapshotKeepWeeklyForWeeks: 4,
+
+        // #endregion Automatic Session Snapshots
+
+
+        // #region Closed Windows
+
+        /** Keep track of the tab tree of each window and bookmark it when the window is closed. */
+        bookmarkClosedWindows: false,
+        /** The id of the bookmark folder that the trees of closed windows are saved in. Empty to create a new "Closed windows" folder. */
+        closedWindowsFolderId: '',
+        /** The number of the most recently closed windows to keep bookmarks for. */
+        closedWindowsMaxCount: 10,
+
+        // #endregion Closed Windows
+
+
+        // #region Closed Trees
+
+        /** Bookmark tabs that are closed together with some of their descendants in Tree Style Tab's sidebar. */
+        bookmarkClosedTrees: false,
+        /** The id of the bookmark folder that closed trees are saved in. Empty to create a new "Recently closed trees" folder. */
+        closedTreesFolderId: '',
+        /** The number of the most recently closed trees to keep bookmarks for. */
+        closedTreesMaxCount: 10,
+        /** Show a notification that restores a closed tree when it is clicked. */
+        closedTreesNotification: true,
+
+        // #endregion Closed Trees
+
+        /** Show a notification that undoes an operation when it is clicked after tabs are bookmarked, restored or migrated. */
+        undoTreeOperationNotification: false,
+
+        /** @type {string[]} The ids of bookmark folders with saved trees that are updated automatically when their tabs change. */
+        syncedSavedTreeFolderIds: [],
+        /** The time in milliseconds to wait after the latest change to a synced tree's tabs before its bookmarks are updated. */
+        syncSavedTreeDelay: 2000,
 
 
         // #region Format for Bookmark Tree Data
 
         /** @type { BookmarkFormat | 'auto' } Determines how tree data is parsed from bookmarks. Specify `auto` to auto detect what format that tree data is stored with. */
-        restoreTreeWithBookmarkFormat: TreeInfoNode.bookmarkFormat.separators,
+        restoreTreeWithBookmarkFormat: bookmarkFormatDescriptions.separators.id,
+        /** Restore nested bookmark folders as Tree Style Tab group tabs with the folders' content as child tabs. Otherwise nested folders are flattened or ignored depending on the format. */
+        restoreTreeNestedFoldersAsGroupTabs: false,
         /** @type { BookmarkFormat } Determines how tree data is saved to bookmarks. */
-        bookmarkTreeWithBookmarkFormat: TreeInfoNode.bookmarkFormat.separators,
+        bookmarkTreeWithBookmarkFormat: bookmarkFormatDescriptions.separators.id,
 
         // #endregion Format for Bookmark Tree Data
 
@@ -209,7 +325,7 @@ export function migrateSettings(settings, previousVersion) {
         {
             const useSeparators = get('allowSeparatorsWhenRestoringTree', true);
             if (!useSeparators) {
-                set('restoreTreeWithBookmarkFormat', TreeInfoNode.bookmarkFormat.folders);
+                set('restoreTreeWithBookmarkFormat', bookmarkFormatDescriptions.folders.id);
             }
             remove('allowSeparatorsWhenRestoringTree');
         }
@@ -217,7 +333,7 @@ export function migrateSettings(settings, previousVersion) {
         {
             const useSeparators = get('bookmarkTreeWithSeparators', true);
             if (!useSeparators) {
-                set('bookmarkTreeWithBookmarkFormat', TreeInfoNode.bookmarkFormat.folders);
+                set('bookmarkTreeWithBookmarkFormat', bookmarkFormatDescriptions.folders.id);
             }
             remove('bookmarkTreeWithSeparators');
         }
@@ -254,9 +370,13 @@ const trackedDelays = new DisposableCollection();
  *
  * @export
  * @param {number} timeInMilliseconds The time in milliseconds to wait before resolving the returned promise.
+ * @param {CancellationToken | null} [cancellationToken] Also cancel the delay when this token is cancelled.
  * @returns {Promise<boolean>} A promise that will be resolved to `true` if the delay completed or `false` if the delay was cancelled.
  */
-export async function trackedDelay(timeInMilliseconds) {
+export async function trackedDelay(timeInMilliseconds, cancellationToken = null) {
+    if (cancellationToken && cancellationToken.isCancelled) {
+        return false;
+    }
     if (timeInMilliseconds < 0) {
         return true;
     }
@@ -265,7 +385,17 @@ export async function trackedDelay(timeInMilliseconds) {
         await delay(timeInMilliseconds);
         return true;
     }
-    return await boundDelay(timeInMilliseconds, trackedDelays);
+    if (!cancellationToken) {
+        return await boundDelay(timeInMilliseconds, trackedDelays);
+    }
+    const disposables = new DisposableCollection();
+    trackedDelays.trackDisposables(disposables);
+    cancellationToken.trackDisposables(disposables);
+    try {
+        return await boundDelay(timeInMilliseconds, disposables);
+    } finally {
+        disposables.dispose();
+    }
 }
 
 /**
@@ -0,0 +1,88 @@
+'use strict';
+
+
+/**
+ * Info about a container (contextual identity) that can be used to find the same container later.
+ *
+ * @typedef {Object} ContainerInfo
+ * @property {string} Info.cookieStoreId The cookie store id that the container had when the info was saved.
+ * @property {string} Info.name The name of the container.
+ * @property {string} [Info.color] The container's color.
+ * @property {string} [Info.icon] The container's icon.
+ */
+null;
+
+
+/**
+ * Check if a cookie store id belongs to a container. The default and private cookie stores aren't containers.
+ *
+ * @param {string | undefined} cookieStoreId A tab's cookie store id.
+ * @returns {boolean} `true` if the cookie store id is for a container.
+ */
+function isContainerCookieStoreId(cookieStoreId) {
+    return Boolean(cookieStoreId) && cookieStoreId !== 'firefox-default' && cookieStoreId !== 'firefox-private';
+}
+
+/**
+ * Get info about the container that a tab belongs to.
+ *
+ * @export
+ * @param {string | undefined} cookieStoreId A tab's cookie store id.
+ * @returns {Promise<ContainerInfo | null>} Info about the container or `null` if the tab isn't in a container or if containers aren't available.
+ */
+export async function getContainerInfo(cookieStoreId) {
+    if (!isContainerCookieStoreId(cookieStoreId) || !browser.contextualIdentities) {
+        return null;
+    }
+    try {
+        const identity = await browser.contextualIdentities.get(cookieStoreId);
+        if (!identity) {
+            return null;
+        }
+        return {
+            cookieStoreId,
+            name: identity.name,
+            color: identity.color,
+            icon: identity.icon,
+        };
+    } catch (error) {
+        console.warn(`Failed to get info about the container with cookie store id "${cookieStoreId}":\n`, error);
+        return null;
+    }
+}
+
+/**
+ * Find the current cookie store id for a saved container. Containers are matched by name since cookie store ids
+ * are different in other browser profiles and change if a container is removed and added again.
+ *
+ * @export
+ * @param {ContainerInfo} container Info about the wanted container.
+ * @param {Object} [Config] Configuration for the operation.
+ * @param {boolean} [Config.createMissing=true] Create a new container if there isn't any container with the wanted name.
+ * @returns {Promise<string | null>} The cookie store id for the container or `null` if no container could be found or created.
+ */
+export async function getContainerCookieStoreId(container, { createMissing = true } = {}) {
+    if (!container || !container.name || !browser.contextualIdentities) {
+        return null;
+    }
+    try {
+        const identities = await browser.contextualIdentities.query({ name: container.name });
+        if (identities && identities.length > 0) {
+            // Prefer a container that looks the same if there are several with the same name:
+            const sameColor = identities.find(identity => identity.color === container.color);
+            return (sameColor || identities[0]).cookieStoreId;
+        }
+        if (!createMissing) {
+            return null;
+        }
+        const created = await browser.contextualIdentities.create({
+            name: container.name,
+            color: container.color || 'blue',
+            icon: container.icon || 'circle',
+        });
+        return created.cookieStoreId;
+    } catch (error) {
+        console.warn(`Failed to find or create a container with the name "${container.name}":\n`, error);
+        return null;
+    }
+}
@@ -328,6 +328,51 @@ export class OperationManager {
 }
 
 
+/**
+ * Signals that a long running operation should stop. Operations should check `isCancelled` between steps and
+ * disposables that are tracked by the token, for example delays, are disposed when the token is cancelled.
+ *
+ * @class CancellationToken
+ */
+export class CancellationToken {
+    constructor() {
+        this._disposables = new DisposableCollection();
+        this._onCancelled = new EventManager();
+    }
+
+    /**
+     * Dispose of an object when the token is cancelled. Objects are disposed immediately if the token is already cancelled.
+     *
+     * @param {any} disposables The object(s) to dispose.
+     * @memberof CancellationToken
+     */
+    trackDisposables(disposables) {
+        this._disposables.trackDisposables(disposables);
+    }
+
+    /**
+     * Request that the operation stops.
+     *
+     * @memberof CancellationToken
+     */
+    cancel() {
+        if (this.isCancelled) {
+            return;
+        }
+        this._disposables.dispose();
+        this._onCancelled.fire();
+    }
+
+    get isCancelled() {
+        return this._disposables.isDisposed;
+    }
+
+    get onCancelled() {
+        return this._onCancelled.subscriber;
+    }
+}
+
+
 /**
  * Wrap a setTimeout call and keep track of the timeoutId.
  *
@@ -7,6 +7,7 @@ import {
 import {
     setTextMessages,
     setMessagePrefix,
+    messagePrefix,
 } from '../ui/utilities.js';
 
 import {
@@ -16,6 +17,8 @@ import {
 import {
     setRequiresPrefix,
     bindDependantSettings,
+    requiresPrefix,
+    requiredValueAttribute,
 } from '../ui/requires.js';
 
 import {
@@ -27,6 +30,10 @@ import {
     settingsTracker,
 } from '../common/common.js';
 
+import {
+    getBookmarkFormatDescriptions,
+} from '../common/bookmark-format-descriptions.js';
+
 import {
     getInternalTSTId,
 } from '../tree-style-tab/internal-id.js';
@@ -39,6 +46,18 @@ import {
     createPrivacyPermissionArea
 } from '../ui/common.js';
 
+import {
+    createSettingOverridesList,
+} from '../ui/setting-overrides.js';
+
+import {
+    createBookmarkFolderTree,
+} from '../ui/bookmark-folder-tree.js';
+
+import {
+    deepCopy,
+} from '../common/utilities.js';
+
 
 setMessagePrefix('message_');
 setRequiresPrefix('requires_');
@@ -57,7 +76,141 @@ setRequiresPrefix('requires_');
 }
 
 
+/**
+ * Fill all bookmark format `select` elements with the currently registered
+ * bookmark formats and create info paragraphs that are shown for the selected
+ * format.
+ *
+ * A `select` element is filled if it has a `data-bookmark-formats` attribute. If
+ * that attribute has the value `auto` then an option to automatically detect the
+ * format is also added. Info paragraphs are prepended to any element with a
+ * `data-bookmark-format-info` attribute whose value is the `select` element's id.
+ */
+function createBookmarkFormatSelectors() {
+    for (const select of Array.from(document.querySelectorAll('select[data-bookmark-formats]'))) {
+        const formats = getBookmarkFormatDescriptions().map(format => ({
+            value: format.id,
+            titleMessage: format.titleMessage,
+            infoMessage: format.infoMessage,
+        }));
+        if (select.getAttribute('data-bookmark-formats') === 'auto') {
+            formats.push({
+                value: 'auto',
+                titleMessage: 'options_bookmarkFormat_auto',
+                infoMessage: 'options_bookmarkFormat_info_auto',
+            });
+        }
+
+        for (const { value, titleMessage } of formats) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.classList.add(messagePrefix + titleMessage);
+            select.appendChild(option);
+        }
+
+        for (const infoArea of Array.from(document.querySelectorAll(`[data-bookmark-format-info="${select.id}"]`))) {
+            const firstChild = infoArea.firstChild;
+            for (const { value, titleMessage, infoMessage } of formats) {
+                const paragraph = document.createElement('p');
+                paragraph.setAttribute(requiredValueAttribute, value);
+                paragraph.classList.add(requiresPrefix + select.id);
+
+                const title = document.createElement('text');
+                title.classList.add(messagePrefix + titleMessage);
+                paragraph.appendChild(title);
+
+                const info = document.createElement('text');
+                info.classList.add(messagePrefix + infoMessage);
+                paragraph.appendChild(info);
+
+                infoArea.insertBefore(paragraph, firstChild);
+            }
+        }
+    }
+}
+
+
+/**
+ * Get the settings that can be changed by restore tree variants.
+ *
+ * @returns {import('../ui/setting-overrides.js').OverridableSetting[]} Settings that affect how trees are restored.
+ */
+function getRestoreTreeOverridableSettings() {
+    const formatOptions = getBookmarkFormatDescriptions()
+        .map(format => ({ value: format.id, message: format.titleMessage }))
+        .concat({ value: 'auto', message: 'options_bookmarkFormat_auto' });
+    return [
+        { key: 'openAsDiscardedTabs', message: 'options_override_openAsDiscardedTabs', type: 'boolean' },
+        { key: 'restoreTreeInNewWindow', message: 'options_override_restoreTreeInNewWindow', type: 'boolean' },
+        { key: 'restoreWindowGeometry', message: 'options_override_restoreWindowGeometry', type: 'boolean' },
+        { key: 'restoreTreeMaxDepth', message: 'options_override_restoreTreeMaxDepth', type: 'number', min: -1 },
+        { key: 'restoreTreeWithBookmarkFormat', message: 'options_override_restoreTreeWithBookmarkFormat', type: 'select', options: formatOptions },
+        { key: 'restoreTreeNestedFoldersAsGroupTabs', message: 'options_override_restoreTreeNestedFoldersAsGroupTabs', type: 'boolean' },
+        { key: 'restoreCollapsedState', message: 'options_override_restoreCollapsedState', type: 'boolean' },
+        { key: 'restoreContainers', message: 'options_override_restoreContainers', type: 'boolean' },
+        { key: 'restoreTabStates', message: 'options_override_restoreTabStates', type: 'boolean' },
+        { key: 'createTempTabWhenRestoring', message: 'options_override_createTempTabWhenRestoring', type: 'boolean' },
+        { key: 'gruopUnderTempTabWhenRestoring', message: 'options_override_gruopUnderTempTabWhenRestoring', type: 'boolean' },
+        { key: 'ensureOneParentWhenCreatingTabs', message: 'options_override_ensureOneParentWhenCreatingTabs', type: 'boolean' },
+        { key: 'warnWhenRestoringMoreThan', message: 'options_override_warnWhenRestoringMoreThan', type: 'number', min: -1 },
+        { key: 'restoreTreeShowPreview', message: 'options_override_restoreTreeShowPreview', type: 'boolean' },
+        { key: 'restoreTreeShowProgressWhenMoreThan', message: 'options_override_restoreTreeShowProgressWhenMoreThan', type: 'number', min: -1 },
+        { key: 'restoreTreeAllOrNothing', message: 'options_override_restoreTreeAllOrNothing', type: 'boolean' },
+        { key: 'restoreTreeVerifyStructure', message: 'options_override_restoreTreeVerifyStructure', type: 'boolean' },
+    ];
+}
+
+
+/**
+ * Get options for all bookmark folders that can be used as destination folders.
+ *
+ * @returns {Promise<{ value: string, message?: string, text?: string }[]>} An option for each bookmark folder. The first option represents the browser's default location.
+ */
+async function getBookmarkFolderOptions() {
+    /** @type {{ value: string, message?: string, text?: string }[]} */
+    const options = [{ value: '', message: 'options_override_bookmarkTreeDestinationFolderId_Default' }];
+    try {
+        const addFolders = (bookmarks, depth) => {
+            for (const bookmark of bookmarks) {
+                if (bookmark.type !== 'folder') continue;
+                options.push({ value: bookmark.id, text: '\u00A0\u00A0\u00A0'.repeat(depth) + bookmark.title });
+                addFolders(bookmark.children || [], depth + 1);
+            }
+        };
+        const [root] = await browser.bookmarks.getTree();
+        addFolders(root.children || [], 0);
+    } catch (error) {
+        console.error('Failed to get bookmark folders:\n', error);
+    }
+    return options;
+}
+
+/**
+ * Get the settings that can be changed by bookmark tree variants.
+ *
+ * @returns {Promise<import('../ui/setting-overrides.js').OverridableSetting[]>} Settings that affect how trees are bookmarked.
+ */
+async function getBookmarkTreeOverridableSettings() {
+    const formatOptions = getBookmarkFormatDescriptions()
+        .map(format => ({ value: format.id, message: format.titleMessage }));
+    return [
+        { key: 'bookmarkTreeWithBookmarkFormat', message: 'options_override_bookmarkTreeWithBookmarkFormat', type: 'select', options: formatOptions },
+        { key: 'bookmarkTreeDestinationFolderId', message: 'options_override_bookmarkTreeDestinationFolderId', type: 'select', options: await getBookmarkFolderOptions() },
+        { key: 'bookmarkTreeAskForDestinationFolder', message: 'options_override_bookmarkTreeAskForDestinationFolder', type: 'boolean' },
+        { key: 'bookmarkTreeShowPreview', message: 'options_override_bookmarkTreeShowPreview', type: 'boolean' },
+        { key: 'bookmarkTreeMaxDepth', message: 'options_override_bookmarkTreeMaxDepth', type: 'number', min: -1 },
+        { key: 'bookmarkSuffix', message: 'options_override_bookmarkSuffix', type: 'text' },
+        { key: 'bookmarkFolderTitleTemplate', message: 'options_override_bookmarkFolderTitleTemplate', type: 'text' },
+        { key: 'bookmarkGroupTabsWithLegacyURL', message: 'options_override_bookmarkGroupTabsWithLegacyURL', type: 'boolean' },
+        { key: 'warnWhenBookmarkingMoreThan', message: 'options_override_warnWhenBookmarkingMoreThan', type: 'number', min: -1 },
+    ];
+}
+
+
 async function initiatePage() {
+    // Add options for all registered bookmark formats:
+    createBookmarkFormatSelectors();
+
     // Set placeholders using i18n messages:
     for (const element of Array.from(document.querySelectorAll('input[data-placeholder-message][type="text"]'))) {
         (/** @type {HTMLInputElement} */ (element)).placeholder = browser.i18n.getMessage(element.getAttribute('data-placeholder-message'));
@@ -74,12 +227,17 @@ async function initiatePage() {
 
     const collapsableInfo = bindCollapsableAreas({
         enabledCheck: [
-            { element: document.getElementById('contextMenuArea'), check: () => settings.hasRestoreTreeContextMenu || settings.hasMigrateContextMenu || settings.hasTabContextMenu || settings.hasTSTContextMenu || settings.hasMTHContextMenu },
+            { element: document.getElementById('contextMenuArea'), check: () => settings.hasRestoreTreeContextMenu || settings.hasMigrateContextMenu || settings.hasUpdateSavedTreeContextMenu || settings.hasSyncSavedTreeContextMenu || settings.hasStashTreeContextMenu || settings.hasSnapshotSessionContextMenu || settings.hasTabContextMenu || settings.hasTSTContextMenu || settings.hasMTHContextMenu },
             { element: document.getElementById('contextMenu_restoreTree_Area'), check: () => settings.hasRestoreTreeContextMenu },
             { element: document.getElementById('contextMenu_migrateTreeData_Area'), check: () => settings.hasMigrateContextMenu },
+            { element: document.getElementById('contextMenu_updateSavedTree_Area'), check: () => settings.hasUpdateSavedTreeContextMenu },
+            { element: document.getElementById('contextMenu_syncSavedTree_Area'), check: () => settings.hasSyncSavedTreeContextMenu },
+            { element: document.getElementById('contextMenu_stashTree_Area'), check: () => settings.hasStashTreeContextMenu },
+            { element: document.getElementById('contextMenu_snapshotSession_Area'), check: () => settings.hasSnapshotSessionContextMenu },
             { element: document.getElementById('contextMenu_bookmarkTreeData_Area'), check: () => settings.hasTabContextMenu },
             { element: document.getElementById('contextMenu_bookmarkTreeData_TST_Area'), check: () => settings.hasTSTContextMenu },
             { element: document.getElementById('contextMenu_bookmarkTreeData_MTH_Area'), check: () => settings.hasMTHContextMenu },
+            { element: document.getElementById('contextMenu_bookmarkTreeVariants_Area'), check: () => settings.hasTabContextMenu || settings.hasTSTContextMenu || settings.hasMTHContextMenu },
         ],
     });
     const checkRequired = bindDependantSettings();
@@ -100,6 +258,62 @@ async function initiatePage() {
     const privacyPermissions = createPrivacyPermissionArea({});
     document.getElementById('privacyPermissionsArea').appendChild(privacyPermissions.area);
 
+    const restoreTreeVariants = createSettingOverridesList({
+        overridableSettings: getRestoreTreeOverridableSettings(),
+        getCurrentValue: (key) => deepCopy(settings[key]),
+        labelMessage: 'options_settingOverrides_Label',
+        addEntryMessage: 'options_restoreTreeVariants_Add',
+        addOverrideMessage: 'options_settingOverrides_AddOverride',
+        onChange: (entries) => {
+            browser.storage.local.set({ restoreTreeVariants: entries });
+        },
+    });
+    document.getElementById('restoreTreeVariantsArea').appendChild(restoreTreeVariants.area);
+
+    const bookmarkTreeVariants = createSettingOverridesList({
+        overridableSettings: await getBookmarkTreeOverridableSettings(),
+        getCurrentValue: (key) => deepCopy(settings[key]),
+        labelMessage: 'options_settingOverrides_Label',
+        addEntryMessage: 'options_bookmarkTreeVariants_Add',
+        addOverrideMessage: 'options_settingOverrides_AddOverride',
+        onChange: (entries) => {
+            browser.storage.local.set({ bookmarkTreeVariants: entries });
+        },
+    });
+    document.getElementById('bookmarkTreeVariantsArea').appendChild(bookmarkTreeVariants.area);
+
+    const destinationFolderTree = createBookmarkFolderTree({
+        defaultFolderMessage: 'options_override_bookmarkTreeDestinationFolderId_Default',
+        onSelect: (folderId) => {
+            browser.storage.local.set({ bookmarkTreeDestinationFolderId: folderId });
+        },
+    });
+    document.getElementById('bookmarkTreeDestinationFolderArea').appendChild(destinationFolderTree.area);
+
+    const autoSnapshotFolderTree = createBookmarkFolderTree({
+        defaultFolderMessage: 'options_autoSnapshotFolderId_Default',
+        onSelect: (folderId) => {
+            browser.storage.local.set({ autoSnapshotFolderId: folderId });
+        },
+    });
+    document.getElementById('autoSnapshotFolderArea').appendChild(autoSnapshotFolderTree.area);
+
+    const closedWindowsFolderTree = createBookmarkFolderTree({
+        defaultFolderMessage: 'options_closedWindowsFolderId_Default',
+        onSelect: (folderId) => {
+            browser.storage.local.set({ closedWindowsFolderId: folderId });
+        },
+    });
+    document.getElementById('closedWindowsFolderArea').appendChild(closedWindowsFolderTree.area);
+
+    const closedTreesFolderTree = createBookmarkFolderTree({
+        defaultFolderMessage: 'options_closedTreesFolderId_Default',
+        onSelect: (folderId) => {
+            browser.storage.local.set({ closedTreesFolderId: folderId });
+        },
+    });
+    document.getElementById('closedTreesFolderArea').appendChild(closedTreesFolderTree.area);
+
     await settingsTracker.start;
     collapsableInfo.checkAll();
 
@@ -118,6 +332,12 @@ async function initiatePage() {
 
     const handleLoad = () => {
         shortcuts.update(); // Keyboard Commands
+        restoreTreeVariants.setEntries(settings.restoreTreeVariants);
+        bookmarkTreeVariants.setEntries(settings.bookmarkTreeVariants);
+        destinationFolderTree.setSelected(settings.bookmarkTreeDestinationFolderId);
+        autoSnapshotFolderTree.setSelected(settings.autoSnapshotFolderId);
+        closedWindowsFolderTree.setSelected(settings.closedWindowsFolderId);
+        closedTreesFolderTree.setSelected(settings.closedTreesFolderId);
         boundSettings.skipCurrentInputIgnore();
         checkRequired();
     };
@@ -125,6 +345,24 @@ async function initiatePage() {
 
     settingsTracker.onChange.addListener((changes) => {
         collapsableInfo.checkAll();
+        if (changes.restoreTreeVariants) {
+            restoreTreeVariants.setEntries(settings.restoreTreeVariants);
+        }
+        if (changes.bookmarkTreeVariants) {
+            bookmarkTreeVariants.setEntries(settings.bookmarkTreeVariants);
+        }
+        if (changes.bookmarkTreeDestinationFolderId) {
+            destinationFolderTree.setSelected(settings.bookmarkTreeDestinationFolderId);
+        }
+        if (changes.autoSnapshotFolderId) {
+            autoSnapshotFolderTree.setSelected(settings.autoSnapshotFolderId);
+        }
+        if (changes.closedWindowsFolderId) {
+            closedWindowsFolderTree.setSelected(settings.closedWindowsFolderId);
+        }
+        if (changes.closedTreesFolderId) {
+            closedTreesFolderTree.setSelected(settings.closedTreesFolderId);
+        }
     });
 
     document.getElementById('resetSettingsButton').addEventListener('click', async (e) => {
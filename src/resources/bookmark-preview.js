@@ -0,0 +1,197 @@
+import {
+    messageTypes,
+} from '../common/common.js';
+
+import {
+    setTextMessages,
+} from '../ui/utilities.js';
+
+import {
+    createTreeChecklist,
+} from '../ui/tree-checklist.js';
+
+import {
+    createBookmarkFolderTree,
+} from '../ui/bookmark-folder-tree.js';
+
+import {
+    getBookmarkFormatDescriptions,
+} from '../common/bookmark-format-descriptions.js';
+
+
+/**
+ * @typedef {import('../ui/tree-checklist.js').ChecklistNode} ChecklistNode
+ */
+/**
+ * @typedef {import('../background/tree-info-node.js').BookmarkTreeNode} BookmarkTreeNode
+ */
+
+
+/**
+ * Info that the background page provides about the tree that will be bookmarked.
+ *
+ * @typedef {Object} BookmarkPreviewData
+ * @property {ChecklistNode} Info.tree The tree that will be bookmarked. The root node's title is the title of the created folder.
+ * @property {string} Info.format The tree data format that is selected initially.
+ * @property {string} Info.parentBookmarkId The bookmark folder that is selected initially. Empty for the browser's default location.
+ */
+null;
+
+
+async function initiatePage() {
+    try {
+        document.title = browser.i18n.getMessage('bookmarkPreviewPage_Title');
+    } catch (error) {
+        console.error('Failed to set tab title.\nError: ', error);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const dialogId = parseInt(params.get('dialogId'));
+
+    /** @type {BookmarkPreviewData | null} */
+    let data = null;
+    try {
+        data = await browser.runtime.sendMessage({ type: messageTypes.dialogData, dialogId });
+    } catch (error) {
+        console.error('Failed to get the tree to preview from the background page.\nError: ', error);
+    }
+    if (!data) {
+        window.close();
+        return;
+    }
+
+    const okButton = /** @type {HTMLButtonElement} */ (document.getElementById('okButton'));
+    const selectedCount = document.getElementById('selectedCount');
+    const plannedBookmarksArea = document.getElementById('plannedBookmarks');
+
+
+    const formatSelect = /** @type {HTMLSelectElement} */ (document.getElementById('formatSelect'));
+    for (const format of getBookmarkFormatDescriptions()) {
+        const option = document.createElement('option');
+        option.value = format.id;
+        option.textContent = browser.i18n.getMessage(format.titleMessage);
+        formatSelect.appendChild(option);
+    }
+    formatSelect.value = data.format;
+
+    const folderTree = createBookmarkFolderTree({ defaultFolderMessage: 'bookmarkPreviewPage_DefaultFolder' });
+    folderTree.setSelected(data.parentBookmarkId);
+    document.getElementById('folderTreeArea').appendChild(folderTree.area);
+
+
+    /**
+     * Show bookmarks that would be created.
+     *
+     * @param {BookmarkTreeNode[]} bookmarks The planned bookmarks.
+     * @param {number} depth The number of folders that the bookmarks are inside.
+     */
+    const showPlannedBookmarks = (bookmarks, depth) => {
+        for (const bookmark of bookmarks) {
+            const type = bookmark.type || (bookmark.url ? 'bookmark' : 'folder');
+            const entry = document.createElement('div');
+            entry.classList.add('plannedBookmark', type);
+            entry.style.marginLeft = `${depth * 1.2}em`;
+
+            const title = document.createElement('text');
+            title.textContent = type === 'separator' ? '――――――――――' : bookmark.title;
+            entry.appendChild(title);
+            if (bookmark.url) {
+                const url = document.createElement('text');
+                url.classList.add('plannedBookmarkURL');
+                url.textContent = bookmark.url;
+                entry.appendChild(url);
+            }
+            plannedBookmarksArea.appendChild(entry);
+
+            if (bookmark.children) {
+                showPlannedBookmarks(bookmark.children, depth + 1);
+            }
+        }
+    };
+
+    let latestPlanRequest = 0;
+    const updatePlannedBookmarks = async () => {
+        const requestId = ++latestPlanRequest;
+        /** @type {BookmarkTreeNode[]} */
+        let bookmarks = [];
+        try {
+            bookmarks = await browser.runtime.sendMessage({
+                type: messageTypes.dialogMessage,
+                dialogId,
+                message: { tree: checklist.getTree(), format: formatSelect.value },
+            });
+        } catch (error) {
+            console.error('Failed to get the bookmarks that would be created from the background page.\nError: ', error);
+        }
+        // Ignore outdated results:
+        if (requestId !== latestPlanRequest) return;
+
+        while (plannedBookmarksArea.firstChild) {
+            plannedBookmarksArea.removeChild(plannedBookmarksArea.firstChild);
+        }
+        showPlannedBookmarks(bookmarks || [], 0);
+    };
+
+    let planTimeout = null;
+    const queuePlanUpdate = () => {
+        if (planTimeout !== null) {
+            clearTimeout(planTimeout);
+        }
+        planTimeout = setTimeout(() => {
+            planTimeout = null;
+            updatePlannedBookmarks();
+        }, 250);
+    };
+
+
+    const updateCount = () => {
+        const checkedCount = checklist.getCheckedCount();
+        selectedCount.textContent = browser.i18n.getMessage('bookmarkPreviewPage_SelectedCount', [String(checkedCount), String(checklist.getCount())]);
+        okButton.disabled = checkedCount === 0;
+    };
+
+    const checklist = createTreeChecklist({
+        rootNode: data.tree,
+        editable: true,
+        onChange: () => {
+            updateCount();
+            queuePlanUpdate();
+        },
+    });
+    document.getElementById('treeArea').appendChild(checklist.area);
+
+    formatSelect.addEventListener('change', () => updatePlannedBookmarks());
+
+    updateCount();
+    updatePlannedBookmarks();
+    setTextMessages();
+
+
+    /**
+     * Inform the background page about the user's choice.
+     *
+     * @param {Object | null} result How the tree should be bookmarked or `null` if the user cancelled.
+     */
+    const sendResult = async (result) => {
+        try {
+            await browser.runtime.sendMessage({ type: messageTypes.dialogResult, dialogId, result });
+        } catch (error) {
+            console.error('Failed to send the edited tree to the background page.\nError: ', error);
+        }
+        window.close();
+    };
+
+    okButton.addEventListener('click', () => {
+        sendResult({
+            tree: checklist.getTree(),
+            format: formatSelect.value,
+            parentBookmarkId: folderTree.getSelected(),
+        });
+    });
+    document.getElementById('cancelButton').addEventListener('click', () => {
+        sendResult(null);
+    });
+}
+
+
+initiatePage();
@@ -0,0 +1,72 @@
+import {
+    messageTypes,
+} from '../common/common.js';
+
+import {
+    setTextMessages,
+} from '../ui/utilities.js';
+
+import {
+    createBookmarkFolderTree,
+} from '../ui/bookmark-folder-tree.js';
+
+
+async function initiatePage() {
+    try {
+        document.title = browser.i18n.getMessage('folderPickerPage_Title');
+    } catch (error) {
+        console.error('Failed to set tab title.\nError: ', error);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const dialogId = parseInt(params.get('dialogId'));
+
+    /** @type {{ selectedId: string } | null} */
+    let data = null;
+    try {
+        data = await browser.runtime.sendMessage({ type: messageTypes.dialogData, dialogId });
+    } catch (error) {
+        console.error('Failed to get the selected bookmark folder from the background page.\nError: ', error);
+    }
+    if (!data) {
+        window.close();
+        return;
+    }
+
+    const folderTree = createBookmarkFolderTree({ defaultFolderMessage: 'folderPickerPage_DefaultFolder' });
+    folderTree.setSelected(data.selectedId || '');
+    document.getElementById('folderTreeArea').appendChild(folderTree.area);
+
+    setTextMessages();
+
+    /**
+     * Inform the background page about the user's choice.
+     *
+     * @param {string | null} folderId The selected folder or `null` if the user cancelled.
+     */
+    const sendResult = async (folderId) => {
+        try {
+            await browser.runtime.sendMessage({ type: messageTypes.dialogResult, dialogId, result: folderId });
+        } catch (error) {
+            console.error('Failed to send selected bookmark folder to the background page.\nError: ', error);
+        }
+        window.close();
+    };
+
+    document.getElementById('okButton').addEventListener('click', async () => {
+        const folderId = folderTree.getSelected();
+        if ((/** @type {HTMLInputElement} */ (document.getElementById('rememberFolder'))).checked) {
+            await browser.storage.local.set({
+                bookmarkTreeDestinationFolderId: folderId,
+                bookmarkTreeAskForDestinationFolder: false,
+            });
+        }
+        sendResult(folderId);
+    });
+    document.getElementById('cancelButton').addEventListener('click', () => {
+        sendResult(null);
+    });
+}
+
+
+initiatePage();
@@ -0,0 +1,118 @@
+import {
+    messageTypes,
+} from '../common/common.js';
+
+import {
+    setTextMessages,
+} from '../ui/utilities.js';
+
+import {
+    createTreeChecklist,
+} from '../ui/tree-checklist.js';
+
+
+/**
+ * @typedef {import('../ui/tree-checklist.js').ChecklistNode} ChecklistNode
+ */
+
+
+/**
+ * Info that the background page provides about the tree that will be restored.
+ *
+ * @typedef {Object} RestorePreviewData
+ * @property {ChecklistNode} Info.tree The tree that will be restored.
+ * @property {{ id: number, title: string }[]} Info.windows The windows that the tree can be restored into.
+ * @property {number | null} Info.windowId The window that the tree will be restored into by default.
+ * @property {boolean} Info.inNewWindow `true` if the tree will be restored into a new window by default.
+ * @property {boolean} Info.openAsDiscardedTabs `true` if tabs will be opened as unloaded by default.
+ */
+null;
+
+
+async function initiatePage() {
+    try {
+        document.title = browser.i18n.getMessage('restorePreviewPage_Title');
+    } catch (error) {
+        console.error('Failed to set tab title.\nError: ', error);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const dialogId = parseInt(params.get('dialogId'));
+
+    /** @type {RestorePreviewData | null} */
+    let data = null;
+    try {
+        data = await browser.runtime.sendMessage({ type: messageTypes.dialogData, dialogId });
+    } catch (error) {
+        console.error('Failed to get the tree to preview from the background page.\nError: ', error);
+    }
+    if (!data) {
+        window.close();
+        return;
+    }
+
+    const okButton = /** @type {HTMLButtonElement} */ (document.getElementById('okButton'));
+    const selectedCount = document.getElementById('selectedCount');
+
+    const checklist = createTreeChecklist({
+        rootNode: data.tree,
+        onChange: () => updateCount(),
+    });
+    document.getElementById('treeArea').appendChild(checklist.area);
+
+    const updateCount = () => {
+        const checkedCount = checklist.getCheckedCount();
+        selectedCount.textContent = browser.i18n.getMessage('restorePreviewPage_SelectedCount', [String(checkedCount), String(checklist.getCount())]);
+        okButton.disabled = checkedCount === 0;
+    };
+    updateCount();
+
+
+    const windowSelect = /** @type {HTMLSelectElement} */ (document.getElementById('windowSelect'));
+    for (const window of data.windows) {
+        const option = document.createElement('option');
+        option.value = String(window.id);
+        option.textContent = window.title || String(window.id);
+        windowSelect.insertBefore(option, windowSelect.lastElementChild);
+    }
+    windowSelect.value = data.inNewWindow || data.windowId === null ? 'new' : String(data.windowId);
+    if (!windowSelect.value) {
+        windowSelect.value = 'new';
+    }
+
+    const tabStateSelect = /** @type {HTMLSelectElement} */ (document.getElementById('tabStateSelect'));
+    tabStateSelect.value = data.openAsDiscardedTabs ? 'discarded' : 'loaded';
+
+    setTextMessages();
+
+
+    /**
+     * Inform the background page about the user's choice.
+     *
+     * @param {Object | null} result What should be restored or `null` if the user cancelled.
+     */
+    const sendResult = async (result) => {
+        try {
+            await browser.runtime.sendMessage({ type: messageTypes.dialogResult, dialogId, result });
+        } catch (error) {
+            console.error('Failed to send the restore choices to the background page.\nError: ', error);
+        }
+        window.close();
+    };
+
+    okButton.addEventListener('click', () => {
+        const inNewWindow = windowSelect.value === 'new';
+        sendResult({
+            uncheckedIndexes: checklist.getUncheckedIndexes(),
+            windowId: inNewWindow ? null : parseInt(windowSelect.value),
+            inNewWindow,
+            openAsDiscardedTabs: tabStateSelect.value === 'discarded',
+        });
+    });
+    document.getElementById('cancelButton').addEventListener('click', () => {
+        sendResult(null);
+    });
+}
+
+
+initiatePage();
@@ -0,0 +1,79 @@
+import {
+    messageTypes,
+} from '../common/common.js';
+
+import {
+    setTextMessages,
+} from '../ui/utilities.js';
+
+
+/**
+ * @typedef {import('../background/tree-info-node.js').OpenTabsProgress} OpenTabsProgress
+ */
+
+
+async function initiatePage() {
+    try {
+        document.title = browser.i18n.getMessage('restoreProgressPage_Title');
+    } catch (error) {
+        console.error('Failed to set tab title.\nError: ', error);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const dialogId = parseInt(params.get('dialogId'));
+
+    /** @type {OpenTabsProgress | null} */
+    let progress = null;
+    try {
+        progress = await browser.runtime.sendMessage({ type: messageTypes.dialogData, dialogId });
+    } catch (error) {
+        console.error('Failed to get the restore progress from the background page.\nError: ', error);
+    }
+    if (!progress) {
+        window.close();
+        return;
+    }
+
+    const progressBar = /** @type {HTMLProgressElement} */ (document.getElementById('progressBar'));
+    const progressText = document.getElementById('progressText');
+    const failedText = document.getElementById('failedText');
+
+    /**
+     * @param {OpenTabsProgress} progress The latest progress.
+     */
+    const showProgress = (progress) => {
+        progressBar.max = Math.max(1, progress.total);
+        progressBar.value = progress.created + progress.failed;
+        progressText.textContent = browser.i18n.getMessage('restoreProgressPage_Progress', [String(progress.created), String(progress.total)]);
+        failedText.textContent = progress.failed > 0 ? browser.i18n.getMessage('restoreProgressPage_Failed', String(progress.failed)) : '';
+    };
+    showProgress(progress);
+    setTextMessages();
+
+    // The background page closes this window when all tabs have been opened:
+    const updateInterval = setInterval(async () => {
+        try {
+            const latest = await browser.runtime.sendMessage({ type: messageTypes.dialogMessage, dialogId });
+            if (latest) {
+                showProgress(latest);
+            }
+        } catch (error) {
+            console.error('Failed to get the restore progress from the background page.\nError: ', error);
+        }
+    }, 250);
+
+    const cancelButton = /** @type {HTMLButtonElement} */ (document.getElementById('cancelButton'));
+    cancelButton.addEventListener('click', async () => {
+        cancelButton.disabled = true;
+        clearInterval(updateInterval);
+        try {
+            await browser.runtime.sendMessage({ type: messageTypes.dialogResult, dialogId, result: true });
+        } catch (error) {
+            console.error('Failed to cancel the restore operation.\nError: ', error);
+        }
+        window.close();
+    });
+}
+
+
+initiatePage();
@@ -0,0 +1,179 @@
+'use strict';
+
+import {
+  messagePrefix,
+  setTextMessages,
+  toggleClass,
+} from '../ui/utilities.js';
+
+
+/**
+ * Create an area that shows all bookmark folders as a tree where one folder can be selected.
+ *
+ * @export
+ * @param {Object} [Params] Parameters.
+ * @param {string | null} [Params.defaultFolderMessage] The i18n message name for an extra entry that represents the browser's default bookmark location. That entry is selected when the selected id is an empty string. No such entry is created if this is `null`.
+ * @param {function(string): void} [Params.onSelect] Called with a folder's id when the user selects it. Called with an empty string if the default location entry is selected.
+ * @returns {{ area: HTMLDivElement, update: function(): Promise<void>, setSelected: function(string): void, getSelected: function(): string }} The created area and functions to update it.
+ */
+export function createBookmarkFolderTree({ defaultFolderMessage = null, onSelect = null } = {}) {
+  let selectedId = '';
+
+  const area = document.createElement('div');
+  area.classList.add('bookmarkFolderTree');
+
+  /** @type {Map<string, { item: HTMLDivElement, parentId: string | null }>} */
+  const itemsById = new Map();
+
+
+  /**
+   * @param {string} id The folder's id.
+   * @param {boolean} collapsed `true` to hide the folder's sub folders.
+   */
+  const setCollapsed = (id, collapsed) => {
+    const info = itemsById.get(id);
+    if (!info) return;
+    toggleClass(info.item, 'collapsed', collapsed);
+  };
+
+  const updateSelection = () => {
+    for (const [id, { item, parentId }] of itemsById.entries()) {
+      const selected = id === selectedId;
+      toggleClass(item, 'selected', selected);
+      if (selected) {
+        // Ensure the selected folder is visible:
+        let ancestorId = parentId;
+        while (ancestorId) {
+          setCollapsed(ancestorId, false);
+          const ancestor = itemsById.get(ancestorId);
+          ancestorId = ancestor ? ancestor.parentId : null;
+        }
+      }
+    }
+  };
+
+  const select = (id) => {
+    selectedId = id;
+    updateSelection();
+    if (onSelect) {
+      onSelect(id);
+    }
+  };
+
+  /**
+   * @param {Object} Params Parameters.
+   * @param {string} Params.id The folder's id.
+   * @param {string} [Params.title] The folder's title.
+   * @param {string} [Params.titleMessage] The i18n message name for the folder's title.
+   * @param {Object[]} [Params.children] The folder's child bookmarks.
+   * @param {string | null} [Params.parentId] The id of the parent folder's item.
+   * @param {number} [Params.depth] The number of parent folders that are shown in the tree.
+   * @returns {HTMLDivElement} An element for the folder and its sub folders.
+   */
+  const createFolderItem = ({ id, title = '', titleMessage = null, children = [], parentId = null, depth = 0 }) => {
+    const subFolders = children.filter(child => child.type === 'folder');
+
+    const item = document.createElement('div');
+    item.classList.add('bookmarkFolderTreeItem');
+    if (depth > 0 && subFolders.length > 0) {
+      item.classList.add('collapsed');
+    }
+    itemsById.set(id, { item, parentId });
+
+    const row = document.createElement('div');
+    row.classList.add('bookmarkFolderTreeRow');
+    item.appendChild(row);
+
+    const expander = document.createElement('button');
+    expander.classList.add('bookmarkFolderTreeExpander');
+    if (subFolders.length === 0) {
+      expander.classList.add('empty');
+    }
+    expander.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleClass(item, 'collapsed', !item.classList.contains('collapsed'));
+    });
+    row.appendChild(expander);
+
+    const titleElement = document.createElement('text');
+    titleElement.classList.add('bookmarkFolderTreeTitle');
+    if (titleMessage) {
+      titleElement.classList.add(messagePrefix + titleMessage);
+    } else {
+      titleElement.textContent = title;
+    }
+    row.appendChild(titleElement);
+
+    row.addEventListener('click', () => select(id));
+
+    if (subFolders.length > 0) {
+      const childrenArea = document.createElement('div');
+      childrenArea.classList.add('bookmarkFolderTreeChildren');
+      for (const child of subFolders) {
+        childrenArea.appendChild(createFolderItem({ id: child.id, title: child.title, children: child.children, parentId: id, depth: depth + 1 }));
+      }
+      item.appendChild(childrenArea);
+    }
+
+    return item;
+  };
+
+  const update = async () => {
+    let rootFolders = [];
+    try {
+      const [root] = await browser.bookmarks.getTree();
+      rootFolders = (root.children || []).filter(child => child.type === 'folder');
+    } catch (error) {
+      console.error('Failed to get bookmark folders:\n', error);
+    }
+
+    // Keep folders that the user expanded open:
+    const expandedIds = Array.from(itemsById.entries())
+      .filter(([id, { item }]) => !item.classList.contains('collapsed'))
+      .map(([id]) => id);
+
+    itemsById.clear();
+    while (area.firstChild) {
+      area.removeChild(area.firstChild);
+    }
+
+    if (defaultFolderMessage) {
+      area.appendChild(createFolderItem({ id: '', titleMessage: defaultFolderMessage }));
+    }
+    for (const folder of rootFolders) {
+      area.appendChild(createFolderItem({ id: folder.id, title: folder.title, children: folder.children }));
+    }
+    for (const id of expandedIds) {
+      setCollapsed(id, false);
+    }
+
+    setTextMessages(area);
+    updateSelection();
+  };
+
+
+  // Show changes to bookmark folders while the tree is open:
+  let updateTimeout = null;
+  const queueUpdate = () => {
+    if (updateTimeout !== null) return;
+    updateTimeout = setTimeout(() => {
+      updateTimeout = null;
+      update();
+    }, 250);
+  };
+  for (const event of [browser.bookmarks.onCreated, browser.bookmarks.onRemoved, browser.bookmarks.onChanged, browser.bookmarks.onMoved]) {
+    event.addListener(queueUpdate);
+  }
+
+  update();
+
+  return {
+    area,
+    update,
+    setSelected: (id) => {
+      selectedId = id || '';
+      updateSelection();
+    },
+    getSelected: () => selectedId,
+  };
+}
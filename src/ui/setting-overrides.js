@@ -0,0 +1,276 @@
+'use strict';
+
+import {
+  messagePrefix,
+  setTextMessages,
+} from '../ui/utilities.js';
+
+
+/**
+ * A named set of settings that should be used instead of the normal settings.
+ *
+ * @typedef {Object} SettingOverridesEntry
+ * @property {string} Info.label The name that is shown to the user, for example as a context menu item's title.
+ * @property {Object<string, any>} Info.overrides Keys are settings keys and values are the values that should be used instead of the current setting values.
+ */
+null;
+
+/**
+ * Describes a setting that can be overridden.
+ *
+ * @typedef {Object} OverridableSetting
+ * @property {string} Info.key The settings key.
+ * @property {string} Info.message The i18n message name for a short description of the setting.
+ * @property {'boolean' | 'number' | 'text' | 'select'} Info.type Determines how the value is edited.
+ * @property {{ value: string, message?: string, text?: string }[]} [Info.options] Options that can be selected if `type` is `select`. Each option is described by an i18n message name or by text that is shown as is.
+ * @property {number} [Info.min] The minimum value if `type` is `number`.
+ */
+null;
+
+
+/**
+ * Create an area that can be used to edit a list of setting overrides.
+ *
+ * @export
+ * @param {Object} Params Parameters.
+ * @param {OverridableSetting[]} Params.overridableSettings The settings that can be overridden.
+ * @param {function(string): any} Params.getCurrentValue Get the current value of a setting. Used as the initial value of new overrides.
+ * @param {string} Params.labelMessage The i18n message name for the label input's description.
+ * @param {string} Params.addEntryMessage The i18n message name for the button that adds a new entry.
+ * @param {string} Params.addOverrideMessage The i18n message name for the placeholder of the drop down that adds a new override.
+ * @param {function(SettingOverridesEntry[]): void} Params.onChange Called with all entries whenever they are changed by the user.
+ * @returns {{ area: HTMLDivElement, setEntries: function(SettingOverridesEntry[]): void, getEntries: function(): SettingOverridesEntry[] }} The created area and functions to update it.
+ */
+export function createSettingOverridesList({
+  overridableSettings,
+  getCurrentValue,
+  labelMessage,
+  addEntryMessage,
+  addOverrideMessage,
+  onChange,
+}) {
+  /** @type {SettingOverridesEntry[]} */
+  let entries = [];
+
+  const area = document.createElement('div');
+  area.classList.add('settingOverridesList');
+
+  const entriesArea = document.createElement('div');
+  entriesArea.classList.add('settingOverridesEntries');
+  area.appendChild(entriesArea);
+
+  const addEntryButton = document.createElement('button');
+  addEntryButton.classList.add(messagePrefix + addEntryMessage);
+  area.appendChild(addEntryButton);
+
+
+  const notifyChange = () => {
+    onChange(getEntries());
+  };
+
+  const getEntries = () => {
+    return entries.map(entry => ({ label: entry.label, overrides: Object.assign({}, entry.overrides) }));
+  };
+
+  /**
+   * @param {OverridableSetting} setting The setting that should be edited.
+   * @param {any} value The current value.
+   * @param {function(any): void} setValue Called when the user changes the value.
+   * @returns {HTMLElement} An element that can edit the value.
+   */
+  const createValueInput = (setting, value, setValue) => {
+    switch (setting.type) {
+      case 'boolean': {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = Boolean(value);
+        checkbox.addEventListener('input', () => setValue(checkbox.checked));
+        return checkbox;
+      }
+      case 'select': {
+        const select = document.createElement('select');
+        for (const option of setting.options || []) {
+          const optionElement = document.createElement('option');
+          optionElement.value = option.value;
+          if (option.message) {
+            optionElement.classList.add(messagePrefix + option.message);
+          } else {
+            optionElement.textContent = option.text;
+          }
+          select.appendChild(optionElement);
+        }
+        setTextMessages(select);
+        select.value = value;
+        select.addEventListener('input', () => setValue(select.value));
+        return select;
+      }
+      case 'number': {
+        const input = document.createElement('input');
+        input.type = 'number';
+        if (setting.min || setting.min === 0) {
+          input.min = String(setting.min);
+        }
+        input.value = String(value);
+        input.addEventListener('input', () => {
+          const number = parseInt(input.value);
+          if (!isNaN(number)) {
+            setValue(number);
+          }
+        });
+        return input;
+      }
+      default: {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value === undefined || value === null ? '' : String(value);
+        input.addEventListener('input', () => setValue(input.value));
+        return input;
+      }
+    }
+  };
+
+  /**
+   * @param {SettingOverridesEntry} entry The entry to create elements for.
+   * @returns {HTMLDivElement} An area for the entry.
+   */
+  const createEntryArea = (entry) => {
+    const entryArea = document.createElement('div');
+    entryArea.classList.add('settingOverridesEntry');
+
+    // #region Label and entry buttons
+
+    const headerArea = document.createElement('div');
+    headerArea.classList.add('settingOverridesEntryHeader');
+    entryArea.appendChild(headerArea);
+
+    const labelText = document.createElement('label');
+    labelText.classList.add(messagePrefix + labelMessage);
+    headerArea.appendChild(labelText);
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.value = entry.label;
+    labelInput.addEventListener('input', () => {
+      entry.label = labelInput.value;
+      notifyChange();
+    });
+    headerArea.appendChild(labelInput);
+
+    const moveUpButton = document.createElement('button');
+    moveUpButton.textContent = '▲';
+    moveUpButton.addEventListener('click', () => {
+      const index = entries.indexOf(entry);
+      if (index <= 0) return;
+      entries.splice(index, 1);
+      entries.splice(index - 1, 0, entry);
+      update();
+      notifyChange();
+    });
+    headerArea.appendChild(moveUpButton);
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = '✕';
+    removeButton.addEventListener('click', () => {
+      entries = entries.filter(aEntry => aEntry !== entry);
+      update();
+      notifyChange();
+    });
+    headerArea.appendChild(removeButton);
+
+    // #endregion Label and entry buttons
+
+
+    // #region Overrides
+
+    const overridesArea = document.createElement('div');
+    overridesArea.classList.add('settingOverridesValues');
+    entryArea.appendChild(overridesArea);
+
+    for (const [key, value] of Object.entries(entry.overrides)) {
+      const setting = overridableSettings.find(setting => setting.key === key);
+      if (!setting) {
+        // Keep unknown overrides but don't allow editing them.
+        continue;
+      }
+      const overrideArea = document.createElement('div');
+      overrideArea.classList.add('settingOverridesValue');
+      overridesArea.appendChild(overrideArea);
+
+      const description = document.createElement('text');
+      description.classList.add(messagePrefix + setting.message);
+      overrideArea.appendChild(description);
+
+      overrideArea.appendChild(createValueInput(setting, value, (newValue) => {
+        entry.overrides[key] = newValue;
+        notifyChange();
+      }));
+
+      const removeOverrideButton = document.createElement('button');
+      removeOverrideButton.textContent = '✕';
+      removeOverrideButton.addEventListener('click', () => {
+        delete entry.overrides[key];
+        update();
+        notifyChange();
+      });
+      overrideArea.appendChild(removeOverrideButton);
+    }
+
+    // Select a setting to add a new override:
+    const addOverrideSelect = document.createElement('select');
+    const placeholderOption = document.createElement('option');
+    placeholderOption.value = '';
+    placeholderOption.classList.add(messagePrefix + addOverrideMessage);
+    addOverrideSelect.appendChild(placeholderOption);
+    for (const setting of overridableSettings) {
+      if (setting.key in entry.overrides) continue;
+      const option = document.createElement('option');
+      option.value = setting.key;
+      option.classList.add(messagePrefix + setting.message);
+      addOverrideSelect.appendChild(option);
+    }
+    addOverrideSelect.addEventListener('input', () => {
+      const key = addOverrideSelect.value;
+      if (!key) return;
+      entry.overrides[key] = getCurrentValue(key);
+      update();
+      notifyChange();
+    });
+    overridesArea.appendChild(addOverrideSelect);
+
+    // #endregion Overrides
+
+    setTextMessages(entryArea);
+    return entryArea;
+  };
+
+  const update = () => {
+    while (entriesArea.firstChild) {
+      entriesArea.removeChild(entriesArea.firstChild);
+    }
+    for (const entry of entries) {
+      entriesArea.appendChild(createEntryArea(entry));
+    }
+  };
+
+  addEntryButton.addEventListener('click', () => {
+    entries.push({ label: '', overrides: {} });
+    update();
+    notifyChange();
+  });
+
+
+  setTextMessages(area);
+
+  return {
+    area,
+    setEntries: (newEntries) => {
+      if (JSON.stringify(newEntries) === JSON.stringify(entries)) {
+        // Don't recreate elements while the user is editing them.
+        return;
+      }
+      entries = (newEntries || []).map(entry => ({ label: entry.label || '', overrides: Object.assign({}, entry.overrides) }));
+      update();
+    },
+    getEntries,
+  };
+}
@@ -0,0 +1,224 @@
+'use strict';
+
+import {
+  toggleClass,
+} from '../ui/utilities.js';
+
+
+/**
+ * A node in a tree that is shown by a checklist. The background page creates these from `TreeInfoNode` objects.
+ *
+ * @typedef {Object} ChecklistNode
+ * @property {number} Info.index Identifies the node when the checked nodes are sent back to the background page.
+ * @property {string} Info.title The node's title.
+ * @property {string} Info.url The node's URL. Empty for nodes that don't represent a tab, for example bookmark folders.
+ * @property {ChecklistNode[]} Info.children The node's child nodes.
+ */
+null;
+
+/**
+ * A node in a tree after the user has edited it in a checklist.
+ *
+ * @typedef {Object} EditedChecklistNode
+ * @property {number} Info.index The index of the node that was edited.
+ * @property {string} Info.title The node's title. Might have been changed by the user.
+ * @property {boolean} Info.checked `true` if the node is checked.
+ * @property {EditedChecklistNode[]} Info.children The node's child nodes in the order that the user wants.
+ */
+null;
+
+
+/**
+ * Create an area that shows a tree with a checkbox for every node. Unchecking a node also unchecks all of its
+ * descendants and checking a node also checks its ancestors so that the checked nodes always form a tree.
+ *
+ * @export
+ * @param {Object} Params Parameters.
+ * @param {ChecklistNode} Params.rootNode The tree to show.
+ * @param {boolean} [Params.editable] Let the user rename nodes and change the order of child nodes.
+ * @param {function(): void} [Params.onChange] Called when the user checks, unchecks, renames or moves a node.
+ * @returns {{ area: HTMLDivElement, getUncheckedIndexes: function(): number[], getCheckedCount: function(): number, getCount: function(): number, getTree: function(): EditedChecklistNode }} The created area and functions to get the user's choices. Counts only include nodes with URLs.
+ */
+export function createTreeChecklist({ rootNode, editable = false, onChange = null }) {
+  const area = document.createElement('div');
+  area.classList.add('treeChecklist');
+  toggleClass(area, 'editable', editable);
+
+  /** @type {{ node: ChecklistNode, checkbox: HTMLInputElement, parent: ChecklistNode | null, item: HTMLDivElement, children: ChecklistNode[], childrenArea: HTMLDivElement | null, getTitle: function(): string }[]} */
+  const items = [];
+  /** @type {Map<ChecklistNode, typeof items[0]>} */
+  const itemsByNode = new Map();
+
+
+  /**
+   * @param {ChecklistNode} node The node whose descendants should be changed.
+   * @param {boolean} checked The new state.
+   */
+  const setDescendantsChecked = (node, checked) => {
+    for (const child of node.children) {
+      itemsByNode.get(child).checkbox.checked = checked;
+      setDescendantsChecked(child, checked);
+    }
+  };
+
+  /**
+   * @param {ChecklistNode} node The node whose ancestors should be checked.
+   */
+  const checkAncestors = (node) => {
+    let parent = itemsByNode.get(node).parent;
+    while (parent) {
+      const parentItem = itemsByNode.get(parent);
+      parentItem.checkbox.checked = true;
+      parent = parentItem.parent;
+    }
+  };
+
+  const notifyChange = () => {
+    if (onChange) {
+      onChange();
+    }
+  };
+
+  /**
+   * Move a node among its siblings.
+   *
+   * @param {ChecklistNode} node The node to move.
+   * @param {number} offset `-1` to move the node up and `1` to move it down.
+   */
+  const moveNode = (node, offset) => {
+    const { parent, item } = itemsByNode.get(node);
+    if (!parent) return;
+    const parentItem = itemsByNode.get(parent);
+    const siblings = parentItem.children;
+    const index = siblings.indexOf(node);
+    const newIndex = index + offset;
+    if (newIndex < 0 || newIndex >= siblings.length) return;
+
+    siblings.splice(index, 1);
+    siblings.splice(newIndex, 0, node);
+    // Insert before the sibling that is now after the moved node:
+    const nextSibling = siblings[newIndex + 1];
+    parentItem.childrenArea.insertBefore(item, nextSibling ? itemsByNode.get(nextSibling).item : null);
+    notifyChange();
+  };
+
+  /**
+   * @param {ChecklistNode} node The node to show.
+   * @param {ChecklistNode | null} parent The node's parent.
+   * @returns {HTMLDivElement} An element for the node and its descendants.
+   */
+  const createItem = (node, parent) => {
+    const item = document.createElement('div');
+    item.classList.add('treeChecklistItem');
+    if (!node.url) {
+      item.classList.add('noURL');
+    }
+
+    const row = document.createElement('div');
+    row.classList.add('treeChecklistRow');
+    item.appendChild(row);
+
+    const expander = document.createElement('button');
+    expander.classList.add('treeChecklistExpander');
+    if (node.children.length === 0) {
+      expander.classList.add('empty');
+    }
+    expander.addEventListener('click', (e) => {
+      e.preventDefault();
+      toggleClass(item, 'collapsed', !item.classList.contains('collapsed'));
+    });
+    row.appendChild(expander);
+
+    // Clicking the title toggles the checkbox unless the title can be edited:
+    const label = document.createElement('label');
+    label.classList.add('treeChecklistLabel');
+    row.appendChild(label);
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.addEventListener('change', () => {
+      setDescendantsChecked(node, checkbox.checked);
+      if (checkbox.checked) {
+        checkAncestors(node);
+      }
+      notifyChange();
+    });
+    label.appendChild(checkbox);
+
+    /** @type {function(): string} */
+    let getTitle;
+    if (editable) {
+      const titleInput = document.createElement('input');
+      titleInput.type = 'text';
+      titleInput.classList.add('treeChecklistTitle');
+      titleInput.value = node.title;
+      titleInput.placeholder = node.url;
+      titleInput.addEventListener('input', () => notifyChange());
+      row.appendChild(titleInput);
+      getTitle = () => titleInput.value;
+
+      if (parent) {
+        for (const [offset, className] of /** @type {[number, string][]} */ ([[-1, 'moveUp'], [1, 'moveDown']])) {
+          const moveButton = document.createElement('button');
+          moveButton.classList.add('treeChecklistMove', className);
+          moveButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            moveNode(node, offset);
+          });
+          row.appendChild(moveButton);
+        }
+      }
+    } else {
+      const titleElement = document.createElement('text');
+      titleElement.classList.add('treeChecklistTitle');
+      titleElement.textContent = node.title || node.url;
+      label.appendChild(titleElement);
+      getTitle = () => node.title;
+    }
+    if (node.url) {
+      row.title = node.url;
+    }
+
+    const entry = { node, checkbox, parent, item, children: node.children.slice(), childrenArea: null, getTitle };
+    items.push(entry);
+    itemsByNode.set(node, entry);
+
+    if (node.children.length > 0) {
+      const childrenArea = document.createElement('div');
+      childrenArea.classList.add('treeChecklistChildren');
+      for (const child of node.children) {
+        childrenArea.appendChild(createItem(child, node));
+      }
+      item.appendChild(childrenArea);
+      entry.childrenArea = childrenArea;
+    }
+
+    return item;
+  };
+
+  area.appendChild(createItem(rootNode, null));
+
+  return {
+    area,
+    getUncheckedIndexes: () => items.filter(({ checkbox }) => !checkbox.checked).map(({ node }) => node.index),
+    getCheckedCount: () => items.filter(({ node, checkbox }) => node.url && checkbox.checked).length,
+    getCount: () => items.filter(({ node }) => node.url).length,
+    getTree: () => {
+      /**
+       * @param {ChecklistNode} node A node in the tree.
+       * @returns {EditedChecklistNode} The node with the user's changes.
+       */
+      const getEditedNode = (node) => {
+        const { checkbox, children, getTitle } = itemsByNode.get(node);
+        return {
+          index: node.index,
+          title: getTitle(),
+          checked: checkbox.checked,
+          children: children.map(getEditedNode),
+        };
+      };
+      return getEditedNode(rootNode);
+    },
+  };
+}